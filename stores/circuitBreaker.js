@@ -0,0 +1,107 @@
+const STATES = {
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'halfOpen',
+}
+
+// closed: calls go through, consecutive failures are counted
+// open: after failureThreshold failures, calls go to fallback directly
+// halfOpen: resetTimeoutMs after opening, ONE call is let through as a probe,
+//   success closes the circuit, failure opens it again
+//
+// isFailure: (error) => boolean, errors not counted as failure are rethrown as is
+const createCircuitBreaker = ({
+  failureThreshold = 5,
+  resetTimeoutMs = 10000,
+  isFailure = () => true,
+} = {}) => {
+  const listeners = new Set()
+  let state = STATES.closed
+  let failures = 0
+  let probing = false
+  let resetTimer
+
+  const transition = (to) => {
+    if (state === to) {
+      return
+    }
+    const from = state
+    state = to
+    listeners.forEach((listener) => listener({ from, to }))
+  }
+
+  const open = () => {
+    failures = 0
+    transition(STATES.open)
+
+    clearTimeout(resetTimer)
+    resetTimer = setTimeout(() => transition(STATES.halfOpen), resetTimeoutMs)
+    // must not keep process alive
+    resetTimer.unref?.()
+  }
+
+  const onSuccess = () => {
+    failures = 0
+    transition(STATES.closed)
+  }
+
+  const onFailure = () => {
+    if (state === STATES.halfOpen) {
+      return open()
+    }
+    failures++
+    if (failures >= failureThreshold) {
+      open()
+    }
+  }
+
+  const exec = async ({
+    funcWoArgs,
+    fallbackWoArgs,
+    isFailure: _isFailure = isFailure,
+  }) => {
+    if (state === STATES.open || (state === STATES.halfOpen && probing)) {
+      return fallbackWoArgs()
+    }
+
+    const isProbe = state === STATES.halfOpen
+    if (isProbe) {
+      probing = true
+    }
+
+    let result
+    try {
+      result = await funcWoArgs()
+    } catch (error) {
+      if (!_isFailure(error)) {
+        // still got an answer from the protected side
+        onSuccess()
+        throw error
+      }
+      onFailure()
+      return fallbackWoArgs()
+    } finally {
+      if (isProbe) {
+        probing = false
+      }
+    }
+
+    onSuccess()
+    return result
+  }
+
+  return {
+    exec,
+    state: () => state,
+    onStateChange: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    close: () => clearTimeout(resetTimer),
+  }
+}
+
+module.exports = {
+  STATES,
+  createCircuitBreaker,
+}
@@ -0,0 +1,197 @@
+const { STATES, createCircuitBreaker } = require('./circuitBreaker')
+const { create, createInAppStore, EVENTS } = require('./index')
+const { lockScripts } = require('./redis')
+
+describe('circuitBreaker', () => {
+  const failing = () => Promise.reject(new Error('redis down'))
+  const fallback = () => 'fallback'
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('should pass through when closed', async () => {
+    const breaker = createCircuitBreaker()
+
+    const got = await breaker.exec({ funcWoArgs: async () => 'value', fallbackWoArgs: fallback })
+
+    expect(got).toStrictEqual('value')
+    expect(breaker.state()).toStrictEqual(STATES.closed)
+  })
+
+  test('should fallback on failure and open after failureThreshold', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2 })
+    const listener = jest.fn()
+    breaker.onStateChange(listener)
+
+    expect(await breaker.exec({ funcWoArgs: failing, fallbackWoArgs: fallback })).toStrictEqual('fallback')
+    expect(breaker.state()).toStrictEqual(STATES.closed)
+
+    await breaker.exec({ funcWoArgs: failing, fallbackWoArgs: fallback })
+    expect(breaker.state()).toStrictEqual(STATES.open)
+    expect(listener).toHaveBeenCalledWith({ from: STATES.closed, to: STATES.open })
+
+    const funcWoArgs = jest.fn()
+    await breaker.exec({ funcWoArgs, fallbackWoArgs: fallback })
+    expect(funcWoArgs).not.toHaveBeenCalled()
+  })
+
+  test('should probe when half open', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 })
+    await breaker.exec({ funcWoArgs: failing, fallbackWoArgs: fallback })
+
+    jest.advanceTimersByTime(1000)
+    expect(breaker.state()).toStrictEqual(STATES.halfOpen)
+
+    // failed probe opens again
+    await breaker.exec({ funcWoArgs: failing, fallbackWoArgs: fallback })
+    expect(breaker.state()).toStrictEqual(STATES.open)
+
+    jest.advanceTimersByTime(1000)
+    expect(await breaker.exec({ funcWoArgs: async () => 'value', fallbackWoArgs: fallback })).toStrictEqual('value')
+    expect(breaker.state()).toStrictEqual(STATES.closed)
+  })
+
+  test('should let only one probe through', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 })
+    await breaker.exec({ funcWoArgs: failing, fallbackWoArgs: fallback })
+    jest.advanceTimersByTime(1000)
+
+    let resolveProbe
+    const probe = breaker.exec({
+      funcWoArgs: () => new Promise((resolve) => { resolveProbe = resolve }),
+      fallbackWoArgs: fallback,
+    })
+    expect(await breaker.exec({ funcWoArgs: async () => 'value', fallbackWoArgs: fallback })).toStrictEqual('fallback')
+
+    resolveProbe('probe')
+    expect(await probe).toStrictEqual('probe')
+    expect(breaker.state()).toStrictEqual(STATES.closed)
+  })
+
+  test('should rethrow errors not counted as failure', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, isFailure: () => false })
+
+    await expect(breaker.exec({ funcWoArgs: failing, fallbackWoArgs: fallback })).rejects.toThrow('redis down')
+    expect(breaker.state()).toStrictEqual(STATES.closed)
+  })
+
+  describe('with create()', () => {
+    const downClient = {
+      withTypeMapping: () => downClient,
+      get: jest.fn().mockRejectedValue(new Error('redis down')),
+      set: jest.fn().mockRejectedValue(new Error('redis down')),
+    }
+
+    test('should call func directly when redis is down', async () => {
+      const events = jest.fn()
+      const circuitBreaker = createCircuitBreaker({ failureThreshold: 1 })
+      const cache = create({
+        inAppStore: createInAppStore({}),
+        redisReplicaClient: downClient,
+        redisMasterClient: downClient,
+        circuitBreaker,
+        events,
+      })
+
+      const getById = cache.redisCacheReadThrough({
+        func: async (id) => ({ id }),
+        key: 'byId',
+        ttlMs: 1000,
+        inAppTtlMs: 1000,
+      })
+
+      expect(await getById(1)).toStrictEqual({ id: 1 })
+      expect(circuitBreaker.state()).toStrictEqual(STATES.open)
+      expect(events).toHaveBeenCalledWith(EVENTS.circuitStateChange, { from: STATES.closed, to: STATES.open })
+
+      downClient.get.mockClear()
+      expect(await getById(2)).toStrictEqual({ id: 2 })
+      expect(downClient.get).not.toHaveBeenCalled()
+    })
+
+    test('should not count func errors as redis failure', async () => {
+      const circuitBreaker = createCircuitBreaker({ failureThreshold: 1 })
+      const redisClient = {
+        withTypeMapping: () => redisClient,
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        eval: jest.fn().mockResolvedValue(1),
+      }
+      const cache = create({
+        inAppStore: createInAppStore({}),
+        redisReplicaClient: redisClient,
+        redisMasterClient: redisClient,
+        circuitBreaker,
+      })
+
+      const getById = cache.redisCacheReadThrough({
+        func: async () => { throw new Error('db error') },
+        key: 'byId',
+        ttlMs: 1000,
+        inAppTtlMs: 1000,
+      })
+
+      await expect(getById(1)).rejects.toThrow('db error')
+      expect(circuitBreaker.state()).toStrictEqual(STATES.closed)
+    })
+
+    describe('when redis fails after func answered', () => {
+      // reads and lock work, writing the value back fails
+      const writeFailingClient = {
+        withTypeMapping: () => writeFailingClient,
+        get: jest.fn().mockResolvedValue(null),
+        mGet: jest.fn().mockImplementation(async (keys) => keys.map(() => null)),
+        eval: jest.fn().mockImplementation(async (script) => {
+          if (script === lockScripts.aquire) {
+            return 1
+          }
+          if (script === lockScripts.release) {
+            return 1
+          }
+          throw new Error('redis down')
+        }),
+        multi: () => ({
+          set: () => {},
+          execAsPipeline: () => Promise.reject(new Error('redis down')),
+        }),
+      }
+      let circuitBreaker
+      let cache
+
+      beforeEach(() => {
+        circuitBreaker = createCircuitBreaker({ failureThreshold: 1 })
+        cache = create({
+          inAppStore: createInAppStore({}),
+          redisReplicaClient: writeFailingClient,
+          redisMasterClient: writeFailingClient,
+          circuitBreaker,
+        })
+      })
+
+      test('should not call func again', async () => {
+        const func = jest.fn().mockImplementation(async (id) => ({ id }))
+        const getById = cache.redisCacheReadThrough({ func, key: 'byId', ttlMs: 1000 })
+
+        expect(await getById(1)).toStrictEqual({ id: 1 })
+        expect(func).toHaveBeenCalledTimes(1)
+        expect(circuitBreaker.state()).toStrictEqual(STATES.open)
+      })
+
+      test('should not call batchLoader again', async () => {
+        const batchLoader = jest.fn().mockImplementation(async (keys) => {
+          return keys.reduce((accum, key) => ({ ...accum, [key]: { id: key } }), {})
+        })
+
+        const got = await cache.redisCacheReadThroughMany({ keys: ['a', 'b'], batchLoader, ttlMs: 1000 })
+
+        expect(got).toStrictEqual({ a: { id: 'a' }, b: { id: 'b' } })
+        expect(batchLoader).toHaveBeenCalledTimes(1)
+      })
+    })
+  })
+})
@@ -0,0 +1,170 @@
+const msgpack = require('msgpack-lite')
+const {
+  msgpackEncDec,
+} = require('./encode')
+const {
+  snappyCompr,
+  gzipCompr,
+  brotliCompr,
+  noCompr,
+} = require('./compress')
+
+// legacy format: msgpack + snappy, no header
+const msgpackSnappyMarsh = {
+  marshall: (obj) => {
+    if (obj == null) {
+      throw new Error('marshall null data')
+    }
+    return snappyCompr.compressAsync({
+      biData: msgpackEncDec.encode(obj),
+    })
+  },
+  unmarshall: async (biData) => {
+    if (biData == null) {
+      return null
+    }
+    const uncompressed = await snappyCompr.uncompressAsync({ biData })
+    return msgpackEncDec.decode(uncompressed)
+  }
+}
+
+// self-describing envelope:
+//   'A' 'K' | version | encoder id | compressor id | payload
+//
+// 'AK' can not start a valid snappy stream ('K' is a copy op with nothing to copy yet)
+// so legacy payloads are still told apart from enveloped ones
+const MAGIC = Buffer.from('AK')
+const VERSION = 1
+const HEADER_LENGTH = MAGIC.length + 3
+
+// jsonEncDec / msgpackEncDec keep strings and numbers as is,
+// here payload is always binary so every value must be encoded
+const encoders = {
+  json: {
+    id: 1,
+    encode: (obj) => Buffer.from(JSON.stringify(obj)),
+    decode: (biData) => JSON.parse(biData.toString()),
+  },
+  msgpack: {
+    id: 2,
+    encode: (obj) => msgpack.encode(obj),
+    decode: (biData) => msgpack.decode(biData),
+  },
+}
+
+const compressors = {
+  none: { id: 0, ...noCompr },
+  snappy: { id: 1, ...snappyCompr },
+  gzip: { id: 2, ...gzipCompr },
+  brotli: { id: 3, ...brotliCompr },
+}
+
+const _findById = (registry, id) => {
+  return Object.values(registry).find((entry) => entry.id === id)
+}
+
+const _register = (registry) => (name, entry) => {
+  const existing = _findById(registry, entry.id)
+  if (existing && existing !== registry[name]) {
+    throw new Error(`id ${entry.id} already registered`)
+  }
+  registry[name] = entry
+}
+
+// entry: { id, encode, decode }
+const registerEncoder = _register(encoders)
+// entry: { id, compressAsync, uncompressAsync }
+const registerCompressor = _register(compressors)
+
+const hasEnvelope = (biData) => {
+  return Buffer.isBuffer(biData) &&
+    biData.length >= HEADER_LENGTH &&
+    biData.subarray(0, MAGIC.length).equals(MAGIC)
+}
+
+// decode enveloped payloads of any registered format, and legacy ones
+const unmarshall = async (biData) => {
+  if (biData == null) {
+    return null
+  }
+  if (!hasEnvelope(biData)) {
+    return msgpackSnappyMarsh.unmarshall(biData)
+  }
+
+  const version = biData[MAGIC.length]
+  if (version !== VERSION) {
+    throw new Error(`unsupported envelope version ${version}`)
+  }
+  const encoder = _findById(encoders, biData[MAGIC.length + 1])
+  const compressor = _findById(compressors, biData[MAGIC.length + 2])
+  if (!encoder || !compressor) {
+    throw new Error('unknown encoder or compressor')
+  }
+
+  const uncompressed = await compressor.uncompressAsync({
+    biData: biData.subarray(HEADER_LENGTH),
+  })
+  return encoder.decode(uncompressed)
+}
+
+// compressor: name, or [{ minBytes, compressor }] to pick by encoded size, the entry
+// with the largest minBytes <= size wins
+// minCompressBytes: encoded payloads smaller than it are not compressed at all
+//
+// compressor used is recorded in the envelope, so unmarshall does not need to know the rules
+const createCodec = ({ encoder = 'msgpack', compressor = 'snappy', minCompressBytes = 0 } = {}) => {
+  const _encoder = encoders[encoder]
+  const rules = (Array.isArray(compressor) ? compressor : [{ minBytes: 0, compressor }])
+    .map((rule) => ({ minBytes: rule.minBytes, compressor: compressors[rule.compressor], name: rule.compressor }))
+    .sort((a, b) => b.minBytes - a.minBytes)
+  const unknown = rules.find((rule) => !rule.compressor)
+  if (!_encoder || unknown) {
+    throw new Error(`unknown encoder ${encoder} or compressor ${unknown?.name ?? compressor}`)
+  }
+
+  const _compressorOf = (size) => {
+    if (size < minCompressBytes) {
+      return compressors.none
+    }
+    return rules.find((rule) => size >= rule.minBytes)?.compressor ?? compressors.none
+  }
+
+  return {
+    marshall: async (obj) => {
+      if (obj == null) {
+        throw new Error('marshall null data')
+      }
+      const encoded = _encoder.encode(obj)
+      const _compressor = _compressorOf(encoded.length)
+      const compressed = await _compressor.compressAsync({
+        biData: encoded,
+      })
+      return Buffer.concat([
+        MAGIC,
+        Buffer.from([VERSION, _encoder.id, _compressor.id]),
+        compressed,
+      ])
+    },
+    unmarshall,
+  }
+}
+
+// small payloads as is (snappy framing costs more than it saves),
+// snappy for most, brotli for large documents where size matters more than cpu
+const sizeAwareCodec = createCodec({
+  encoder: 'msgpack',
+  minCompressBytes: 256,
+  compressor: [
+    { minBytes: 0, compressor: 'snappy' },
+    { minBytes: 64 * 1024, compressor: 'brotli' },
+  ],
+})
+
+module.exports = {
+  msgpackSnappyMarsh,
+  createCodec,
+  sizeAwareCodec,
+  unmarshall,
+  registerEncoder,
+  registerCompressor,
+}
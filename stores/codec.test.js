@@ -0,0 +1,132 @@
+const {
+  msgpackSnappyMarsh,
+  createCodec,
+  sizeAwareCodec,
+  unmarshall,
+  registerCompressor,
+} = require('./codec')
+
+describe('codec', () => {
+  const value = { data: 'data here', list: [1, 2, 3], nested: { flag: true } }
+
+  describe('envelope roundtrip', () => {
+    const combinations = []
+    for (const encoder of ['json', 'msgpack']) {
+      for (const compressor of ['none', 'snappy', 'gzip', 'brotli']) {
+        combinations.push([encoder, compressor])
+      }
+    }
+
+    test.each(combinations)('%s + %s', async (encoder, compressor) => {
+      const codec = createCodec({ encoder, compressor })
+
+      const biData = await codec.marshall(value)
+      expect(Buffer.isBuffer(biData)).toStrictEqual(true)
+
+      expect(await codec.unmarshall(biData)).toStrictEqual(value)
+      expect(await unmarshall(biData)).toStrictEqual(value)
+    })
+
+    test('should keep strings and numbers', async () => {
+      const codec = createCodec({ encoder: 'msgpack', compressor: 'none' })
+
+      expect(await unmarshall(await codec.marshall('123'))).toStrictEqual('123')
+      expect(await unmarshall(await codec.marshall(123))).toStrictEqual(123)
+    })
+  })
+
+  describe('size-aware compression', () => {
+    // 5th byte of the envelope
+    const compressorIdOf = (biData) => biData[4]
+    const large = { text: 'presentation slide '.repeat(200) }
+
+    test('should not compress below minCompressBytes', async () => {
+      const codec = createCodec({ compressor: 'gzip', minCompressBytes: 1024 })
+
+      const small = await codec.marshall(value)
+      expect(compressorIdOf(small)).toStrictEqual(0)
+      expect(compressorIdOf(await codec.marshall(large))).toStrictEqual(2)
+      expect(await unmarshall(small)).toStrictEqual(value)
+    })
+
+    test('should pick compressor by size', async () => {
+      const codec = createCodec({
+        compressor: [
+          { minBytes: 0, compressor: 'snappy' },
+          { minBytes: 1024, compressor: 'brotli' },
+        ],
+      })
+
+      const small = await codec.marshall(value)
+      const big = await codec.marshall(large)
+
+      expect(compressorIdOf(small)).toStrictEqual(1)
+      expect(compressorIdOf(big)).toStrictEqual(3)
+      expect(await unmarshall(small)).toStrictEqual(value)
+      expect(await unmarshall(big)).toStrictEqual(large)
+    })
+
+    test('should not compress when no rule matches', async () => {
+      const codec = createCodec({ compressor: [{ minBytes: 1024, compressor: 'brotli' }] })
+
+      expect(compressorIdOf(await codec.marshall(value))).toStrictEqual(0)
+    })
+
+    test('should throw on unknown compressor in rules', () => {
+      expect(() => createCodec({ compressor: [{ minBytes: 0, compressor: 'lz4' }] })).toThrow('unknown encoder')
+    })
+
+    test('sizeAwareCodec should leave small payloads uncompressed', async () => {
+      const biData = await sizeAwareCodec.marshall(value)
+
+      expect(compressorIdOf(biData)).toStrictEqual(0)
+      expect(await unmarshall(biData)).toStrictEqual(value)
+    })
+  })
+
+  test('should decode legacy payload', async () => {
+    const biData = await msgpackSnappyMarsh.marshall(value)
+
+    expect(await unmarshall(biData)).toStrictEqual(value)
+  })
+
+  test('should decode payload written by another codec', async () => {
+    const biData = await createCodec({ encoder: 'json', compressor: 'gzip' }).marshall(value)
+
+    const codec = createCodec({ encoder: 'msgpack', compressor: 'snappy' })
+    expect(await codec.unmarshall(biData)).toStrictEqual(value)
+  })
+
+  test('should return null for null data', async () => {
+    expect(await unmarshall(null)).toStrictEqual(null)
+  })
+
+  test('should throw when marshall null data', async () => {
+    await expect(createCodec().marshall(null)).rejects.toThrow('marshall null data')
+  })
+
+  test('should throw on unknown encoder or compressor', () => {
+    expect(() => createCodec({ encoder: 'xml' })).toThrow('unknown encoder')
+  })
+
+  test('should throw on unknown id in header', async () => {
+    const biData = await createCodec({ compressor: 'none' }).marshall(value)
+    biData[4] = 200
+
+    await expect(unmarshall(biData)).rejects.toThrow('unknown encoder or compressor')
+  })
+
+  test('should decode registered compressor', async () => {
+    const reversed = (biData) => Buffer.from(biData).reverse()
+    registerCompressor('reversed', {
+      id: 100,
+      compressAsync: async ({ biData }) => reversed(biData),
+      uncompressAsync: async ({ biData }) => reversed(biData),
+    })
+
+    const biData = await createCodec({ compressor: 'reversed' }).marshall(value)
+    expect(await unmarshall(biData)).toStrictEqual(value)
+
+    expect(() => registerCompressor('another', { id: 100 })).toThrow('already registered')
+  })
+})
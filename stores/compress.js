@@ -5,6 +5,8 @@ const { promisify } = require('util')
 
 const gzipAsync = promisify(zlib.gzip)
 const gunzipAsync = promisify(zlib.gunzip)
+const brotliCompressAsync = promisify(zlib.brotliCompress)
+const brotliDecompressAsync = promisify(zlib.brotliDecompress)
 
 const gzipCompr = {
   compressAsync: ({ biData }) => {
@@ -15,6 +17,21 @@ const gzipCompr = {
   }
 }
 
+// default quality (11) is too slow for cache writes, 5 still beats gzip on size
+const brotliCompr = {
+  compressAsync: ({ biData }) => {
+    return brotliCompressAsync(biData, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: biData.length,
+      },
+    })
+  },
+  uncompressAsync: ({ biData }) => {
+    return brotliDecompressAsync(biData)
+  }
+}
+
 const snappyCompr = {
   compress: ({ biData }) => {
     return snappy.compressSync(biData)
@@ -30,7 +47,18 @@ const snappyCompr = {
   }
 }
 
+const noCompr = {
+  compressAsync: async ({ biData }) => {
+    return biData
+  },
+  uncompressAsync: async ({ biData }) => {
+    return biData
+  }
+}
+
 module.exports = {
   snappyCompr,
   gzipCompr,
+  brotliCompr,
+  noCompr,
 }
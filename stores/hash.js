@@ -1,39 +1,65 @@
 const crypto = require('crypto')
 
-function recursiveStringify(value, depth = 0, maxDepth = 3) {
-  if (depth > maxDepth) {
-    return `maxDepth:${maxDepth}`
+// JSON-able form of value, tagged by type so e.g. 1 / '1' or ['a|b'] / ['a', 'b']
+// never normalize to the same thing
+// the whole structure is kept, however deep, so different values never share a cache key
+// seen: objects on the current path, a circular value can not be hashed
+function normalize(value, seen = new WeakSet()) {
+  if (value === null || value === undefined) {
+    return [String(value)]
   }
 
-  if (value === null) {
-    return 'null'
+  if (typeof value === 'function') {
+    return ['function', value.name]
   }
 
-  if (typeof value === 'function') {
-    return value.name
+  if (value instanceof Date) {
+    return ['date', value.toISOString()]
+  }
+
+  if (typeof value !== 'object') {
+    return [typeof value, String(value)]
+  }
+
+  if (seen.has(value)) {
+    throw new TypeError('can not hash circular value')
   }
+  seen.add(value)
 
-  if (typeof value === 'object') {
-    const sortedKeys = Object.keys(value).sort().slice(0, maxDepth)
-    const sortedObj = {}
+  const next = (item) => normalize(item, seen)
+  // Map / Set iteration order is insertion order, sort so it does not matter
+  const sorted = (items) => items.sort((a, b) => {
+    const left = JSON.stringify(a)
+    const right = JSON.stringify(b)
+    return left < right ? -1 : left > right ? 1 : 0
+  })
 
-    for (let i = 0; i < sortedKeys.length; i++) {
-      const key = sortedKeys[i]
-      sortedObj[key] = recursiveStringify(value[key], depth + 1, maxDepth)
+  try {
+    if (value instanceof Map) {
+      return ['map', sorted([...value].map(([key, item]) => [next(key), next(item)]))]
     }
 
-    return JSON.stringify(sortedObj)
-  }
+    if (value instanceof Set) {
+      return ['set', sorted([...value].map(next))]
+    }
 
-  return String(value)
+    if (Array.isArray(value)) {
+      return ['array', value.map(next)]
+    }
+
+    // all keys must be kept, hash is used to build cache keys from args
+    return ['object', Object.keys(value).sort().map((key) => [key, next(value[key])])]
+  } finally {
+    // same object twice side by side (not nested in itself) is fine
+    seen.delete(value)
+  }
 }
 
 function hashArray(arr) {
-  const normalizedElements = arr.map(recursiveStringify)
-  const combinedString = normalizedElements.join('|')
+  const normalized = arr.map((value) => normalize(value))
 
   const hash = crypto.createHash('sha256')
-  hash.update(combinedString)
+  hash.update(JSON.stringify(normalized))
   return hash.digest('hex')
 }
 
@@ -1,5 +1,7 @@
 const { LRUCache } = require('lru-cache')
 const _ = require('lodash')
+const msgpack = require('msgpack-lite')
+const { EVENTS } = require('./metrics')
 
 // At least one of 'max', 'ttl', or 'maxSize' is required, to prevent
 // unsafe unbounded storage.
@@ -10,10 +12,15 @@ const defaultCreateOpts = {
   // this one also the reason why we use LRU cache: we fixed size for cache
   max: 500,
 
-  // place holdes
-  // FIXME: when cached value is Promise, this one does not help
+  // byte budget, when set `max` is not applied unless given explicitly
+  // sizeCalculation: (value, key) => bytes, called with resolved value
+  // default to msgpack encoded size
+  //
+  // a pending Promise is counted as pendingSize, then re-sized once resolved
+  // (see cacheAsideFunc)
   maxSize: undefined,
   sizeCalculation: undefined,
+  pendingSize: 1,
 
   // make TTL on items work
   allowStale: false,
@@ -26,33 +33,134 @@ const _processOptions = (opts, defaultValues) => {
   return _.merge({}, defaultValues, filteredOpts)
 }
 
+const STATUS = {
+  pending: 'pending',
+  fulfilled: 'fulfilled',
+  rejected: 'rejected',
+}
+
+const isThenable = (value) => value != null && typeof value.then == 'function'
+
+// settlement ({ status, value }) of promises stored by cacheAsideFunc, see status()
+const settlements = new WeakMap()
+
+const _statusOf = (value) => {
+  if (!isThenable(value)) {
+    return STATUS.fulfilled
+  }
+  // promises stored by set() are not tracked
+  return settlements.get(value)?.status || STATUS.pending
+}
+
+const marshalledSize = (value) => {
+  if (value == null) {
+    return 1
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.length
+  }
+  if (typeof value == 'string') {
+    return Buffer.byteLength(value)
+  }
+  return msgpack.encode(value).length
+}
+
+// lru-cache requires a positive integer size
+const _sizeOf = ({ sizeCalculation, pendingSize }) => (value, key) => {
+  let size = pendingSize
+  if (!isThenable(value)) {
+    size = sizeCalculation(value, key)
+  } else if (settlements.get(value)?.status === STATUS.fulfilled) {
+    size = sizeCalculation(settlements.get(value).value, key)
+  }
+  return Math.max(1, Math.ceil(size))
+}
+
 const createStore = (opts) => {
-  return new LRUCache(
-    _processOptions(opts, defaultCreateOpts),
-  )
+  const { pendingSize, ..._opts } = _processOptions(opts, defaultCreateOpts)
+  if (_opts.maxSize) {
+    _opts.sizeCalculation = _sizeOf({
+      sizeCalculation: _opts.sizeCalculation || marshalledSize,
+      pendingSize,
+    })
+    if (opts?.max == undefined) {
+      delete _opts.max
+    }
+  }
+
+  return new LRUCache(_opts)
 }
 
 const defaultSetOpts = {
   ttl: 1000 * 60 * 5,
 }
 
-const cacheAsideFunc = ({ store }) => ({ funcWoArgs, key, opts }) => {
+// emit (optional): (event, payload) => void, see metrics.EVENTS
+//
+// a rejected promise is removed from store once settled, so one transient error
+// is not served for the whole ttl. errorTtlMs (optional) keeps it for this long instead
+const cacheAsideFunc = ({ store, emit = () => {} }) => ({ funcWoArgs, key, opts, errorTtlMs }) => {
   if (typeof funcWoArgs != 'function') {
     throw new TypeError('Expected a function')
   }
 
   const _setOpts = _processOptions(opts, defaultSetOpts)
   let cached = store.get(key)
-  if (cached == undefined) {
-    // even this one can be Promise, we don't await it here
-    // this one is keypoint to protect thundering herd in nodejs
-    cached = funcWoArgs()
-    store.set(key, cached, _setOpts)
+  if (cached != undefined) {
+    emit(EVENTS.inAppHit, { key, settled: _statusOf(cached) !== STATUS.pending })
+    return cached
+  }
+
+  emit(EVENTS.inAppMiss, { key })
+  // even this one can be Promise, we don't await it here
+  // this one is keypoint to protect thundering herd in nodejs
+  cached = funcWoArgs()
+  store.set(key, cached, _setOpts)
+
+  if (isThenable(cached)) {
+    const promise = cached
+    settlements.set(promise, { status: STATUS.pending })
+    promise.then((value) => {
+      settlements.set(promise, { status: STATUS.fulfilled, value })
+
+      // re-size with resolved value, lru-cache only computes size when value changes
+      // so swap in an (already resolved) promise, expiry is kept
+      if (store.maxSize && store.peek(key) === promise) {
+        const resolved = Promise.resolve(value)
+        settlements.set(resolved, { status: STATUS.fulfilled, value })
+        try {
+          store.set(key, resolved, { noUpdateTTL: true })
+        } catch {
+          // sizeCalculation failed (e.g. value can not be encoded), do not keep what can not be sized
+          store.delete(key)
+        }
+      }
+    }, () => {
+      settlements.set(promise, { status: STATUS.rejected })
+      // replaced / removed meanwhile
+      if (store.peek(key) !== promise) {
+        return
+      }
+      if (errorTtlMs > 0) {
+        store.set(key, promise, { ttl: errorTtlMs })
+      } else {
+        store.delete(key)
+      }
+    })
   }
 
   return cached
 }
 
+// pending: in-flight promise, fulfilled / rejected: settled value, undefined: not found
+const status = (store) => (key) => {
+  if (!store.has(key)) {
+    return undefined
+  }
+  return _statusOf(store.peek(key))
+}
+
+// promise values stored here are counted as pendingSize in a size-bounded store
 const set = (store) => (key, value, opts) => {
   const _setOpts = _processOptions(opts, defaultSetOpts)
   store.set(key, value, _setOpts)
@@ -67,9 +175,12 @@ const purge = (store) => {
 }
 
 module.exports = {
+  STATUS,
+  marshalledSize,
   createStore,
   set,
   remove,
   cacheAsideFunc,
+  status,
   purge,
 }
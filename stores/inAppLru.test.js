@@ -0,0 +1,203 @@
+const {
+  STATUS,
+  createStore,
+  cacheAsideFunc,
+  status,
+} = require('./inAppLru')
+
+describe('inAppLru', () => {
+  let store
+  let cacheAside
+
+  const sleepMs = (ms) => new Promise((res) => setTimeout(res, ms))
+
+  beforeEach(() => {
+    store = createStore({})
+    cacheAside = cacheAsideFunc({ store })
+  })
+
+  describe('cacheAsideFunc', () => {
+    test('should call funcWoArgs once for concurrent calls', async () => {
+      const funcWoArgs = jest.fn().mockImplementation(async () => {
+        await sleepMs(10)
+        return 'value'
+      })
+
+      const gots = await Promise.all([1, 2, 3].map(() => cacheAside({ funcWoArgs, key: 'key' })))
+
+      expect(gots).toStrictEqual(['value', 'value', 'value'])
+      expect(funcWoArgs).toHaveBeenCalledTimes(1)
+    })
+
+    test('should evict rejected promise', async () => {
+      const funcWoArgs = jest.fn()
+        .mockRejectedValueOnce(new Error('db error'))
+        .mockResolvedValueOnce('value')
+
+      await expect(cacheAside({ funcWoArgs, key: 'key' })).rejects.toThrow('db error')
+      expect(store.has('key')).toStrictEqual(false)
+
+      expect(await cacheAside({ funcWoArgs, key: 'key' })).toStrictEqual('value')
+      expect(funcWoArgs).toHaveBeenCalledTimes(2)
+    })
+
+    test('should keep rejected promise for errorTtlMs', async () => {
+      const funcWoArgs = jest.fn()
+        .mockRejectedValueOnce(new Error('db error'))
+        .mockResolvedValueOnce('value')
+
+      await expect(cacheAside({ funcWoArgs, key: 'key', errorTtlMs: 30 })).rejects.toThrow('db error')
+      await expect(cacheAside({ funcWoArgs, key: 'key', errorTtlMs: 30 })).rejects.toThrow('db error')
+
+      await sleepMs(50)
+      expect(await cacheAside({ funcWoArgs, key: 'key', errorTtlMs: 30 })).toStrictEqual('value')
+      expect(funcWoArgs).toHaveBeenCalledTimes(2)
+    })
+
+    test('should not evict a newer value of same key', async () => {
+      let rejectFirst
+      const first = cacheAside({
+        funcWoArgs: () => new Promise((res, rej) => { rejectFirst = rej }),
+        key: 'key',
+      })
+      store.set('key', 'newer')
+
+      rejectFirst(new Error('db error'))
+      await expect(first).rejects.toThrow('db error')
+
+      expect(store.get('key')).toStrictEqual('newer')
+    })
+
+    test('should report settled on hit', async () => {
+      const emit = jest.fn()
+      cacheAside = cacheAsideFunc({ store, emit })
+
+      let resolve
+      const funcWoArgs = () => new Promise((res) => { resolve = res })
+
+      cacheAside({ funcWoArgs, key: 'key' })
+      cacheAside({ funcWoArgs, key: 'key' })
+      expect(emit).toHaveBeenLastCalledWith('inApp.hit', { key: 'key', settled: false })
+
+      resolve('value')
+      await sleepMs(0)
+      cacheAside({ funcWoArgs, key: 'key' })
+      expect(emit).toHaveBeenLastCalledWith('inApp.hit', { key: 'key', settled: true })
+    })
+  })
+
+  describe('size-bounded store', () => {
+    test('should not limit entries count when only maxSize given', () => {
+      store = createStore({ maxSize: 1000 })
+
+      expect(store.max).toStrictEqual(0)
+      expect(createStore({ maxSize: 1000, max: 10 }).max).toStrictEqual(10)
+    })
+
+    test('should count pending promise as pendingSize then re-size once resolved', async () => {
+      store = createStore({ maxSize: 1000, pendingSize: 10 })
+      cacheAside = cacheAsideFunc({ store })
+
+      let resolve
+      const got = cacheAside({
+        funcWoArgs: () => new Promise((res) => { resolve = res }),
+        key: 'key',
+      })
+      expect(store.calculatedSize).toStrictEqual(10)
+
+      resolve('x'.repeat(100))
+      expect(await got).toStrictEqual('x'.repeat(100))
+      await sleepMs(0)
+
+      expect(store.calculatedSize).toStrictEqual(100)
+      expect(await store.get('key')).toStrictEqual('x'.repeat(100))
+    })
+
+    test('should evict least recently used entries once over budget', async () => {
+      store = createStore({ maxSize: 250 })
+      cacheAside = cacheAsideFunc({ store })
+
+      await cacheAside({ funcWoArgs: async () => 'a'.repeat(100), key: 'a' })
+      await cacheAside({ funcWoArgs: async () => 'b'.repeat(100), key: 'b' })
+      await cacheAside({ funcWoArgs: async () => 'c'.repeat(100), key: 'c' })
+      await sleepMs(0)
+
+      expect(store.has('a')).toStrictEqual(false)
+      expect(store.has('b')).toStrictEqual(true)
+      expect(store.has('c')).toStrictEqual(true)
+    })
+
+    test('should use given sizeCalculation with resolved value', async () => {
+      const sizeCalculation = jest.fn().mockImplementation((value) => value.length)
+      store = createStore({ maxSize: 1000, sizeCalculation })
+      cacheAside = cacheAsideFunc({ store })
+
+      await cacheAside({ funcWoArgs: async () => [1, 2, 3], key: 'key' })
+      await sleepMs(0)
+
+      expect(sizeCalculation).toHaveBeenCalledWith([1, 2, 3], 'key')
+      expect(store.calculatedSize).toStrictEqual(3)
+    })
+
+    test('should evict entry instead of rejecting when sizeCalculation throws', async () => {
+      const unhandled = jest.fn()
+      process.on('unhandledRejection', unhandled)
+      try {
+        store = createStore({
+          maxSize: 1000,
+          sizeCalculation: () => { throw new Error('can not size') },
+        })
+        cacheAside = cacheAsideFunc({ store })
+
+        expect(await cacheAside({ funcWoArgs: async () => 'value', key: 'key' })).toStrictEqual('value')
+        await sleepMs(10)
+
+        expect(store.has('key')).toStrictEqual(false)
+        expect(unhandled).not.toHaveBeenCalled()
+      } finally {
+        process.off('unhandledRejection', unhandled)
+      }
+    })
+
+    test('should keep expiry when re-sized', async () => {
+      store = createStore({ maxSize: 1000 })
+      cacheAside = cacheAsideFunc({ store })
+
+      await cacheAside({ funcWoArgs: async () => 'value', key: 'key', opts: { ttl: 30 } })
+      await sleepMs(50)
+
+      expect(store.has('key')).toStrictEqual(false)
+    })
+  })
+
+  describe('status', () => {
+    test('should tell in-flight from settled values', async () => {
+      let resolve
+      const got = cacheAside({
+        funcWoArgs: () => new Promise((res) => { resolve = res }),
+        key: 'key',
+      })
+      expect(status(store)('key')).toStrictEqual(STATUS.pending)
+
+      resolve('value')
+      await got
+      expect(status(store)('key')).toStrictEqual(STATUS.fulfilled)
+
+      cacheAside({ funcWoArgs: () => 'sync value', key: 'sync' })
+      expect(status(store)('sync')).toStrictEqual(STATUS.fulfilled)
+
+      expect(status(store)('not found')).toStrictEqual(undefined)
+    })
+
+    test('should report rejected when kept for errorTtlMs', async () => {
+      const got = cacheAside({
+        funcWoArgs: async () => { throw new Error('db error') },
+        key: 'key',
+        errorTtlMs: 1000,
+      })
+      await expect(got).rejects.toThrow('db error')
+
+      expect(status(store)('key')).toStrictEqual(STATUS.rejected)
+    })
+  })
+})
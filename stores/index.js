@@ -1,103 +1,507 @@
 const {
   createClient: createRedisClient,
+  createPool: createRedisPool,
+  LOCK_MODE,
+  LEASE_LOST,
+  LeaseLostError,
   cacheAsideFunc,
+  cacheAsideManyFunc,
+  hashCacheAsideFunc,
+  hDel,
+  AquireLockError,
+  WatchError,
+  simpleLock,
 } = require('./redis')
 const {
   createStore: createInAppStore,
   remove: removeInApp,
+  set: setInApp,
   cacheAsideFunc: inAppCacheAsideFunc,
+  status: inAppStatus,
+  STATUS: IN_APP_STATUS,
 } = require('./inAppLru')
 const {
-  msgpackEncDec,
-} = require('./encode')
+  msgpackSnappyMarsh,
+  createCodec,
+  sizeAwareCodec,
+  unmarshall,
+  registerEncoder,
+  registerCompressor,
+} = require('./codec')
+const {
+  createInvalidationBus,
+} = require('./invalidation')
+const {
+  hashArray,
+} = require('./hash')
+const {
+  EVENTS,
+  toEmit,
+  createPrometheusCollector,
+} = require('./metrics')
+const {
+  createCircuitBreaker,
+} = require('./circuitBreaker')
+const {
+  createRedlock,
+} = require('./redlock')
+const {
+  createLockNotifier,
+} = require('./lockNotifier')
+const {
+  JITTER,
+  withRetry,
+} = require('./retry')
 const {
-  snappyCompr,
-} = require('./compress')
+  createWriteBehind,
+} = require('./writeBehind')
+const {
+  createRateLimiter,
+  ALGORITHMS: RATE_LIMIT_ALGORITHMS,
+} = require('./rateLimiter')
+const { semaphore } = require('./semaphore')
+const { rwLock } = require('./rwLock')
+const { createWarmer } = require('./warmer')
 
-const msgpackSnappyMarsh = {
-  marshall: (obj) => {
-    if (obj == null) {
-      throw new Error('marshall null data')
-    }
-    return snappyCompr.compressAsync({
-      biData: msgpackEncDec.encode(obj),
-    })
-  },
-  unmarshall: async (biData) => {
-    if (biData == null) {
-      return null
+// one key per args set, so a wrapped func is memoized per args
+// no args keep the key as is, same as what write / delete / invalidate use by default
+const argsKeyBuilder = (key, args = []) => args.length > 0 ? `${key}:${hashArray(args)}` : key
+
+// invalidationBus (optional, see createInvalidationBus): keep inAppStore of
+// other processes in sync when a key is written / invalidated here
+//
+// codec (see createCodec, or ready-made sizeAwareCodec): used for writes, default to
+// legacy msgpackSnappyMarsh so older instances can still read. reads decode any registered format
+//
+// events (optional): function (event, payload) or EventEmitter, see metrics.EVENTS
+// and createPrometheusCollector
+//
+// circuitBreaker (optional, see createCircuitBreaker): when redis keeps failing,
+// read through skips redis and calls func directly (in-app tier still applies)
+// create clients with commandTimeoutMs (see createRedisClient), commands hang during
+// an outage otherwise and the circuit never opens
+//
+// onLockError (optional): ({ key, op, error }) => void, called when extending /
+// releasing a redis lock fails, see wrapWithPessimisticSimpleLock
+//
+// onRevalidateError (optional): ({ key, error }) => void, called when a background refresh
+// of read through (softTtlMs / earlyRefresh) fails, see also EVENTS.revalidateFail
+//
+// redisMasterPool (optional, see createRedisPool): needed by read through with LOCK_MODE.optimistic
+//
+// lockNotifier (optional, see createLockNotifier): requests waiting for a redis lock
+// wake up as soon as it is released instead of at their next poll
+//
+// loaderRetry (optional): retry policy (see tryWithBackoffRetry) for func / batchLoader /
+// fieldsLoader, can be overridden per read through. no retry by default
+//
+// writeBehind (optional, see createWriteBehind): queue used by redisCacheWriteBehind
+const create = ({
+  inAppStore,
+  redisReplicaClient,
+  redisMasterClient,
+  redisMasterPool,
+  invalidationBus,
+  codec = msgpackSnappyMarsh,
+  events,
+  circuitBreaker,
+  onLockError,
+  onRevalidateError,
+  lockNotifier,
+  loaderRetry,
+  writeBehind,
+}) => {
+  const emit = toEmit(events)
+
+  const withLoaderRetry = (loader, policy) => policy ? withRetry(loader, policy) : loader
+
+  const lockStrategy = lockNotifier && (({ retryTimeoutMs, signal }) => {
+    return simpleLock.aquire({ retryTimeoutMs, signal, notifier: lockNotifier })
+  })
+
+  if (circuitBreaker) {
+    circuitBreaker.onStateChange((change) => emit(EVENTS.circuitStateChange, change))
+  }
+
+  const marshallFunc = async (obj) => {
+    const biData = await codec.marshall(obj)
+    emit(EVENTS.marshall, { bytes: biData.length })
+    return biData
+  }
+  const unmarshallFunc = (biData) => {
+    if (biData != null) {
+      emit(EVENTS.unmarshall, { bytes: biData.length })
     }
-    const uncompressed = await snappyCompr.uncompressAsync({ biData })
-    return msgpackEncDec.decode(uncompressed)
+    return unmarshall(biData)
   }
-}
 
-const redisCacheAsideFunc = cacheAsideFunc({
-  marshallFunc: msgpackSnappyMarsh.marshall,
-  unmarshallFunc: msgpackSnappyMarsh.unmarshall,
-})
+  const redisCacheAsideFunc = cacheAsideFunc({
+    marshallFunc,
+    unmarshallFunc,
+    emit,
+  })
+  const redisCacheAsideManyFunc = cacheAsideManyFunc({
+    marshallFunc,
+    unmarshallFunc,
+    emit,
+  })
+  const redisHashCacheAsideFunc = hashCacheAsideFunc({
+    marshallFunc,
+    unmarshallFunc,
+    emit,
+  })
+
+  if (invalidationBus) {
+    invalidationBus.onInvalidate((keys) => keys.forEach(removeInApp(inAppStore)))
+  }
+
+  // key of both tiers for key + args, as built by redisCacheReadThrough
+  // write / delete / invalidate take the same args and keyBuilder to reach what it cached
+  const cacheKeyOf = ({ key, args = [], keyBuilder = argsKeyBuilder }) => keyBuilder(key, args)
+
+  const invalidate = async ({ keys, args, keyBuilder }) => {
+    const cacheKeys = keys.map((key) => cacheKeyOf({ key, args, keyBuilder }))
+    cacheKeys.forEach(removeInApp(inAppStore))
+    if (invalidationBus) {
+      await invalidationBus.publish(cacheKeys)
+    }
+  }
 
-const create = ({ inAppStore, redisReplicaClient, redisMasterClient }) => {
-  const inAppCacheReadThrough = ({ funcWoArgs, key, ttlMs }) => {
-    return inAppCacheAsideFunc({ store: inAppStore })({
+  // errorTtlMs (optional): keep a rejection cached for this long, evicted right away by default
+  const inAppCacheReadThrough = ({ funcWoArgs, key, ttlMs, errorTtlMs }) => {
+    return inAppCacheAsideFunc({ store: inAppStore, emit })({
       funcWoArgs,
       key,
       opts: { ttl: ttlMs },
+      errorTtlMs,
     })
   }
 
+  // pending / fulfilled / rejected, undefined when not in inAppStore
+  const inAppCacheStatus = ({ key }) => inAppStatus(inAppStore)(key)
+
+  // softTtlMs (optional, < ttlMs): after it passes, the cached value is still served
+  // while one background refresh runs
+  // earlyRefresh (optional, { beta }): instead of softTtlMs, refresh in background before
+  // the key expires with a probability rising as expiry approaches (XFetch)
+  // negativeTtlMs (optional): cache null / undefined results of func for this long
+  // inAppErrorTtlMs (optional): see inAppCacheReadThrough errorTtlMs
+  // keyBuilder: (key, args) => cache key used on both tiers, default argsKeyBuilder
+  // (key as is when called without args), see cacheKeyOf to reach it from writes
+  // reentrant: a nested read through on a key whose redis lock is held by the
+  // outer call runs under that lock instead of waiting on itself
+  // lockMode: LOCK_MODE.pessimistic (default) or LOCK_MODE.optimistic (needs redisMasterPool)
+  // onLeaseLost: LEASE_LOST.continue (default, keep waiting for func, its value is not
+  // written to redis) or LEASE_LOST.abort (reject with LeaseLostError right away)
+  // signal (optional): AbortSignal, e.g. of the request, stop waiting for the redis lock once
+  // aborted (callers sharing the same in-flight load get the rejection too)
+  // retry (optional): retry policy of func, default to loaderRetry
   const redisCacheReadThrough = ({
     func, key,
     ttlMs, inAppTtlMs,
+    inAppErrorTtlMs,
+    softTtlMs,
+    earlyRefresh,
+    negativeTtlMs,
+    keyBuilder = argsKeyBuilder,
+    reentrant = false,
+    lockMode,
+    onLeaseLost,
+    signal,
+    retry = loaderRetry,
   }) => {
+    if (lockMode === LOCK_MODE.optimistic && !redisMasterPool) {
+      throw new TypeError('redisMasterPool is required by LOCK_MODE.optimistic, see createRedisPool')
+    }
+    const retryingFunc = withLoaderRetry(func, retry)
     return (...args) => {
-      const funcWoArgs = () => func(...args)
+      const funcWoArgs = () => retryingFunc(...args)
+      const argsKey = keyBuilder(key, args)
 
       const redisWrappedWoArgsFunc = () => {
-        const fetcher = redisCacheAsideFunc({ funcWoArgs, key, ttlMs })
-        return fetcher({
+        // errors from func itself (or lock contention) say nothing about redis health
+        let funcFailed = false
+        // func answered but redis failed after (e.g. on write back), no need to call it again
+        let loaded
+        const trackedFuncWoArgs = async () => {
+          try {
+            const value = await funcWoArgs()
+            loaded = { value }
+            return value
+          } catch (error) {
+            funcFailed = true
+            throw error
+          }
+        }
+
+        const fetcher = redisCacheAsideFunc({
+          funcWoArgs: trackedFuncWoArgs,
+          key: argsKey,
+          ttlMs,
+          softTtlMs,
+          earlyRefresh,
+          negativeTtlMs,
+          lockStrategy,
+          onLockError,
+          onLeaseLost,
+          onRevalidateError,
+          reentrant,
+          lockMode,
+        })
+        const fetchWoArgs = () => fetcher({
           replicaClient: redisReplicaClient,
           masterClient: redisMasterClient,
+          masterPool: redisMasterPool,
+          signal,
+        })
+
+        if (!circuitBreaker) {
+          return fetchWoArgs()
+        }
+        return circuitBreaker.exec({
+          funcWoArgs: fetchWoArgs,
+          fallbackWoArgs: async () => loaded ? loaded.value : funcWoArgs(),
+          // lock / conflict timeout is contention, not redis failing, a lost lease is
+          // rejected as asked by onLeaseLost, an aborted wait as asked by the caller
+          isFailure: (error) => !funcFailed && !signal?.aborted && !(
+            error instanceof AquireLockError || error instanceof WatchError || error instanceof LeaseLostError
+          ),
         })
       }
 
       return inAppCacheReadThrough({
         funcWoArgs: redisWrappedWoArgsFunc,
-        key,
+        key: argsKey,
         ttlMs: inAppTtlMs,
+        errorTtlMs: inAppErrorTtlMs,
+      })
+    }
+  }
+
+  // batchLoader: (keys) => { [key]: value } or Map, called once for keys not found in any tier
+  // resolve to { [key]: value }, null when not found
+  //
+  // each key is cached where redisCacheReadThrough({ key, keyBuilder })() (no args) caches it,
+  // so both paths share entries, and keys already in-flight (from this or the single-key path)
+  // are awaited, not loaded again
+  // retry (optional): retry policy of batchLoader, default to loaderRetry
+  const redisCacheReadThroughMany = async ({
+    keys, batchLoader,
+    ttlMs, inAppTtlMs,
+    negativeTtlMs,
+    keyBuilder,
+    retry = loaderRetry,
+  }) => {
+    const uniqueKeys = [...new Set(keys)]
+    const loadBatch = withLoaderRetry(batchLoader, retry)
+    const cacheKeys = new Map(uniqueKeys.map((key) => [key, cacheKeyOf({ key, keyBuilder })]))
+    const keyByCacheKey = new Map([...cacheKeys].map(([key, cacheKey]) => [cacheKey, key]))
+
+    // batchLoader gets / answers keys as given, both tiers use cache keys
+    const loadByCacheKeys = async (cacheKeysToLoad) => {
+      const loaded = await loadBatch(cacheKeysToLoad.map((cacheKey) => keyByCacheKey.get(cacheKey)))
+      return new Map(cacheKeysToLoad.map((cacheKey) => {
+        const key = keyByCacheKey.get(cacheKey)
+        return [cacheKey, (loaded instanceof Map ? loaded.get(key) : loaded?.[key]) ?? null]
+      }))
+    }
+
+    // keys this call is responsible for, resolved once redis / batchLoader answered
+    const deferreds = new Map()
+    const pendings = [...cacheKeys.values()].map((cacheKey) => inAppCacheReadThrough({
+      funcWoArgs: () => new Promise((resolve, reject) => {
+        deferreds.set(cacheKey, { resolve, reject })
+      }),
+      key: cacheKey,
+      ttlMs: inAppTtlMs,
+    }))
+
+    const keysToFetch = [...deferreds.keys()]
+    if (keysToFetch.length > 0) {
+      let loaderFailed = false
+      // batchLoader answered but redis failed after, only load what is still missing
+      let loaded = new Map()
+      const trackedBatchLoader = async (keysToLoad) => {
+        try {
+          loaded = await loadByCacheKeys(keysToLoad)
+          return loaded
+        } catch (error) {
+          loaderFailed = true
+          throw error
+        }
+      }
+
+      const fetchWoArgs = () => redisCacheAsideManyFunc({
+        batchLoader: trackedBatchLoader,
+        keys: keysToFetch,
+        ttlMs,
+        negativeTtlMs,
+      })({
+        replicaClient: redisReplicaClient,
+        masterClient: redisMasterClient,
       })
+
+      try {
+        const fetched = circuitBreaker
+          ? await circuitBreaker.exec({
+            funcWoArgs: fetchWoArgs,
+            fallbackWoArgs: async () => {
+              const missing = keysToFetch.filter((key) => !loaded.has(key))
+              const fallback = missing.length > 0 ? await loadByCacheKeys(missing) : new Map()
+              return new Map([...loaded, ...fallback])
+            },
+            isFailure: () => !loaderFailed,
+          })
+          : await fetchWoArgs()
+        deferreds.forEach(({ resolve }, key) => resolve(fetched.get(key)))
+      } catch (error) {
+        deferreds.forEach(({ reject }) => reject(error))
+      }
+    }
+
+    const values = await Promise.all(pendings)
+    // not found is only cached with negativeTtlMs, same as redisCacheReadThrough
+    if (negativeTtlMs == null) {
+      [...cacheKeys.values()]
+        .filter((cacheKey, idx) => values[idx] == null)
+        .forEach(removeInApp(inAppStore))
     }
+    return uniqueKeys.reduce((accum, key, idx) => {
+      accum[key] = values[idx]
+      return accum
+    }, {})
+  }
+
+  // fields of one redis hash, only missing fields go to fieldsLoader: (fields) => { [field]: value }
+  // redis tier only, resolve to { [field]: value }
+  // retry (optional): retry policy of fieldsLoader, default to loaderRetry
+  const redisHashReadThrough = ({ key, fields, fieldsLoader, ttlMs, retry = loaderRetry }) => {
+    return redisHashCacheAsideFunc({
+      fieldsLoader: withLoaderRetry(fieldsLoader, retry),
+      key,
+      fields,
+      ttlMs,
+    })({
+      replicaClient: redisReplicaClient,
+      masterClient: redisMasterClient,
+    })
   }
 
-  const redisCacheOnlyReadThrough = async ({ funcWoArgs, key, ttlMs }) => {
+  const redisHashInvalidate = ({ key, fields }) => {
+    return hDel({ client: redisMasterClient, key, fields })
+  }
+
+  const redisCacheOnlyReadThrough = async ({ funcWoArgs, key, ttlMs, negativeTtlMs }) => {
     const cached = await redisCacheReadThrough({
       func: funcWoArgs,
       key,
       ttlMs,
+      negativeTtlMs,
       inAppTtlMs: 0,
+      keyBuilder: (key) => key,
     })()
 
     removeInApp(inAppStore)(key)
     return cached
   }
 
-  const redisCacheWrite = async ({ data, key, ttlMs }) => {
-    const dataToSet = msgpackSnappyMarsh.marshall(data)
-    return redisMasterClient.set(key, dataToSet, { PX: ttlMs })
+  // args / keyBuilder (optional): write what redisCacheReadThrough cached for these args
+  const redisCacheWrite = async ({ data, key, ttlMs, args, keyBuilder }) => {
+    const cacheKey = cacheKeyOf({ key, args, keyBuilder })
+    const dataToSet = await marshallFunc(data)
+    const result = await redisMasterClient.set(cacheKey, dataToSet, { PX: ttlMs })
+    await invalidate({ keys: [cacheKey] })
+    return result
+  }
+
+  // redis, then local in-app tier (kept for inAppTtlMs if given, evicted otherwise)
+  // in-app tier of other instances is evicted
+  // args / keyBuilder (optional): same as redisCacheWrite
+  const redisCacheWriteBothTiers = async ({ data, key, ttlMs, inAppTtlMs, args, keyBuilder }) => {
+    const cacheKey = cacheKeyOf({ key, args, keyBuilder })
+    const dataToSet = await marshallFunc(data)
+    const result = await redisMasterClient.set(cacheKey, dataToSet, { PX: ttlMs })
+    await invalidate({ keys: [cacheKey] })
+    if (inAppTtlMs) {
+      setInApp(inAppStore)(cacheKey, data, { ttl: inAppTtlMs })
+    }
+    return result
+  }
+
+  // persist with writer: (data) => Promise first, then update both tiers
+  // nothing is cached if writer fails, resolve to what writer resolved
+  const redisCacheWriteThrough = async ({ data, key, ttlMs, inAppTtlMs, args, keyBuilder, writer }) => {
+    const written = await writer(data)
+    await redisCacheWriteBothTiers({ data, key, ttlMs, inAppTtlMs, args, keyBuilder })
+    return written
+  }
+
+  // update both tiers right away, persisting is queued to writeBehind under the cache key
+  // change (optional): what is queued, default to data. e.g. data is the new counter value,
+  // change the increment, coalesced by merge of writeBehind
+  const redisCacheWriteBehind = async ({ data, key, ttlMs, inAppTtlMs, args, keyBuilder, change = data }) => {
+    if (!writeBehind) {
+      throw new TypeError('writeBehind is required, see createWriteBehind')
+    }
+    const result = await redisCacheWriteBothTiers({ data, key, ttlMs, inAppTtlMs, args, keyBuilder })
+    writeBehind.enqueue({ key: cacheKeyOf({ key, args, keyBuilder }), data: change })
+    return result
+  }
+
+  const redisCacheDelete = async ({ key, args, keyBuilder }) => {
+    const cacheKey = cacheKeyOf({ key, args, keyBuilder })
+    const result = await redisMasterClient.del(cacheKey)
+    await invalidate({ keys: [cacheKey] })
+    return result
   }
 
   return {
     inAppCacheReadThrough,
+    inAppCacheStatus,
     redisCacheReadThrough,
+    redisCacheReadThroughMany,
+    redisHashReadThrough,
+    redisHashInvalidate,
     redisCacheOnlyReadThrough,
     redisCacheWrite,
+    redisCacheWriteBothTiers,
+    redisCacheWriteThrough,
+    redisCacheWriteBehind,
+    redisCacheDelete,
+    invalidate,
+    cacheKeyOf,
   }
 }
 
 module.exports = {
   msgpackSnappyMarsh,
+  createCodec,
+  sizeAwareCodec,
+  unmarshallAny: unmarshall,
+  registerEncoder,
+  registerCompressor,
+  argsKeyBuilder,
 
   createInAppStore,
+  IN_APP_STATUS,
   createRedisClient,
+  createRedisPool,
+  LOCK_MODE,
+  LEASE_LOST,
+  LeaseLostError,
+  createInvalidationBus,
+  createLockNotifier,
+  createPrometheusCollector,
+  createCircuitBreaker,
+  createRedlock,
+  semaphore,
+  rwLock,
+  createRateLimiter,
+  RATE_LIMIT_ALGORITHMS,
+  createWriteBehind,
+  createWarmer,
+  withRetry,
+  RETRY_JITTER: JITTER,
+  EVENTS,
   create,
 }
@@ -0,0 +1,885 @@
+const {
+  create,
+  createInAppStore,
+  argsKeyBuilder,
+  createCodec,
+  msgpackSnappyMarsh,
+  LOCK_MODE,
+  createWriteBehind,
+  createWarmer,
+  EVENTS,
+  LEASE_LOST,
+  LeaseLostError,
+  createCircuitBreaker,
+} = require('./index')
+const { lockScripts, WatchError, get, set, simpleLock, swrEnvelope, xfetchEnvelope } = require('./redis')
+
+// mock redis client with the methods used by the facade, backed by a Map
+const createMockClient = () => {
+  const data = new Map()
+  const client = {
+    data,
+    withTypeMapping: () => client,
+    get: jest.fn().mockImplementation(async (key) => data.has(key) ? data.get(key) : null),
+    set: jest.fn().mockImplementation(async (key, value, { NX } = {}) => {
+      if (NX && data.has(key)) {
+        return null
+      }
+      data.set(key, value)
+      return 'OK'
+    }),
+    mGet: jest.fn().mockImplementation(async (keys) => keys.map((key) => data.has(key) ? data.get(key) : null)),
+    hmGet: jest.fn().mockImplementation(async (key, fields) => {
+      return fields.map((field) => data.get(key)?.get(field) ?? null)
+    }),
+    hDel: jest.fn().mockImplementation(async (key, fields) => {
+      return fields.filter((field) => data.get(key)?.delete(field)).length
+    }),
+    multi: jest.fn().mockImplementation(() => {
+      const commands = []
+      const pipeline = {
+        set: (key, value) => {
+          commands.push(() => data.set(key, value) && 'OK')
+          return pipeline
+        },
+        hSet: (key, fieldsValues) => {
+          commands.push(() => {
+            const hash = data.get(key) || new Map()
+            for (let i = 0; i < fieldsValues.length; i += 2) {
+              hash.set(fieldsValues[i], fieldsValues[i + 1])
+            }
+            data.set(key, hash)
+            return fieldsValues.length / 2
+          })
+          return pipeline
+        },
+        pExpire: jest.fn().mockImplementation(() => pipeline),
+        execAsPipeline: async () => commands.map((command) => command()),
+        exec: async () => commands.map((command) => command()),
+      }
+      return pipeline
+    }),
+    del: jest.fn().mockImplementation(async (key) => Number(data.delete(key))),
+    // only simpleLock scripts and fenced set are used here
+    eval: jest.fn().mockImplementation(async (script, { keys, arguments: args }) => {
+      if (script === lockScripts.aquire) {
+        if (data.has(keys[0])) {
+          return null
+        }
+        data.set(keys[0], args[0])
+        data.set(keys[1], (data.get(keys[1]) || 0) + 1)
+        return data.get(keys[1])
+      }
+      // fenced set: value, ttl, token
+      if (args.length === 3) {
+        if (Number(data.get(keys[1])) > Number(args[2])) {
+          return null
+        }
+        data.set(keys[1], args[2])
+        data.set(keys[0], args[0])
+        return 'OK'
+      }
+      return Number(data.delete(keys[0]))
+    }),
+  }
+  return client
+}
+
+// mock pool of given client, EXEC fails when a watched key changed since WATCH
+const createMockPool = (client) => ({
+  execute: jest.fn().mockImplementation(async (fn) => {
+    let watched
+    const connection = {
+      ...client,
+      watch: jest.fn().mockImplementation(async (key) => { watched = { key, value: client.data.get(key) } }),
+      unwatch: jest.fn().mockImplementation(async () => { watched = undefined }),
+      multi: () => {
+        const pipeline = client.multi()
+        const exec = pipeline.exec
+        pipeline.exec = async () => {
+          if (watched && client.data.get(watched.key) !== watched.value) {
+            throw new WatchError()
+          }
+          return exec()
+        }
+        return pipeline
+      },
+    }
+    return fn(connection)
+  }),
+})
+
+describe('create', () => {
+  let cache
+  let inAppStore
+  let redisReplicaClient
+  let redisMasterClient
+
+  beforeEach(() => {
+    inAppStore = createInAppStore({})
+    redisReplicaClient = createMockClient()
+    redisMasterClient = createMockClient()
+    cache = create({ inAppStore, redisReplicaClient, redisMasterClient })
+  })
+
+  describe('argsKeyBuilder', () => {
+    test('should build different keys for different args', () => {
+      expect(argsKeyBuilder('key', [1])).not.toStrictEqual(argsKeyBuilder('key', [2]))
+      expect(argsKeyBuilder('key', [{ a: 1, b: 2, c: 3, d: 4 }]))
+        .not.toStrictEqual(argsKeyBuilder('key', [{ a: 1, b: 2, c: 3, d: 5 }]))
+    })
+
+    test('should build same key regardless of object keys order', () => {
+      expect(argsKeyBuilder('key', [{ a: 1, b: 2 }])).toStrictEqual(argsKeyBuilder('key', [{ b: 2, a: 1 }]))
+    })
+
+    test('should prefix with given key', () => {
+      expect(argsKeyBuilder('key', [1]).startsWith('key:')).toStrictEqual(true)
+    })
+
+    test('should keep key as is without args', () => {
+      expect(argsKeyBuilder('key', [])).toStrictEqual('key')
+    })
+
+    test('should not collide on separators, types or collections', () => {
+      expect(argsKeyBuilder('key', ['a|b'])).not.toStrictEqual(argsKeyBuilder('key', ['a', 'b']))
+      expect(argsKeyBuilder('key', [1])).not.toStrictEqual(argsKeyBuilder('key', ['1']))
+      expect(argsKeyBuilder('key', [new Map([['a', 1]])])).not.toStrictEqual(argsKeyBuilder('key', [new Map([['a', 2]])]))
+      expect(argsKeyBuilder('key', [new Set([1])])).not.toStrictEqual(argsKeyBuilder('key', [new Set([2])]))
+      expect(argsKeyBuilder('key', [[1, [2]]])).not.toStrictEqual(argsKeyBuilder('key', [[1, [3]]]))
+    })
+
+    test('should build same key regardless of Map / Set order', () => {
+      expect(argsKeyBuilder('key', [new Set([1, 2])])).toStrictEqual(argsKeyBuilder('key', [new Set([2, 1])]))
+      expect(argsKeyBuilder('key', [new Map([['a', 1], ['b', 2]])]))
+        .toStrictEqual(argsKeyBuilder('key', [new Map([['b', 2], ['a', 1]])]))
+    })
+
+    test('should build different keys for deeply nested args', () => {
+      expect(argsKeyBuilder('key', [{ filter: { where: { id: { in: [1, 2] } } } }]))
+        .not.toStrictEqual(argsKeyBuilder('key', [{ filter: { where: { id: { in: [3, 4] } } } }]))
+      expect(argsKeyBuilder('key', [[[[[1]]]]])).not.toStrictEqual(argsKeyBuilder('key', [[[[[2]]]]]))
+    })
+
+    test('should throw on circular args', () => {
+      const shared = { id: 1 }
+      const circular = { shared }
+      circular.self = circular
+
+      expect(() => argsKeyBuilder('key', [circular])).toThrow(TypeError)
+      // same object more than once is not circular
+      expect(argsKeyBuilder('key', [shared, [shared]])).toStrictEqual(argsKeyBuilder('key', [{ id: 1 }, [{ id: 1 }]]))
+    })
+  })
+
+  describe('redisCacheReadThrough', () => {
+    test('should cache per args set on both tiers', async () => {
+      const func = jest.fn().mockImplementation(async (id) => ({ id }))
+      const getById = cache.redisCacheReadThrough({ func, key: 'byId', ttlMs: 1000, inAppTtlMs: 1000 })
+
+      expect(await getById(1)).toStrictEqual({ id: 1 })
+      expect(await getById(2)).toStrictEqual({ id: 2 })
+      expect(await getById(1)).toStrictEqual({ id: 1 })
+      expect(func).toHaveBeenCalledTimes(2)
+
+      expect(inAppStore.has(argsKeyBuilder('byId', [1]))).toStrictEqual(true)
+      expect(redisMasterClient.data.has(argsKeyBuilder('byId', [1]))).toStrictEqual(true)
+      expect(redisMasterClient.data.has(argsKeyBuilder('byId', [2]))).toStrictEqual(true)
+    })
+
+    test('should use custom keyBuilder', async () => {
+      const getById = cache.redisCacheReadThrough({
+        func: async (id) => ({ id }),
+        key: 'byId',
+        ttlMs: 1000,
+        inAppTtlMs: 1000,
+        keyBuilder: (key, [id]) => `${key}.${id}`,
+      })
+
+      await getById(1)
+
+      expect(inAppStore.has('byId.1')).toStrictEqual(true)
+      expect(redisMasterClient.data.has('byId.1')).toStrictEqual(true)
+    })
+
+    test('should read what redisCacheWrite wrote without args', async () => {
+      const func = jest.fn().mockResolvedValue({ from: 'loader' })
+      const getPresentation = cache.redisCacheReadThrough({ func, key: 'pres:1', ttlMs: 1000, inAppTtlMs: 1000 })
+
+      expect(await getPresentation()).toStrictEqual({ from: 'loader' })
+      await cache.redisCacheWrite({ data: { from: 'write' }, key: 'pres:1', ttlMs: 1000 })
+
+      expect(await getPresentation()).toStrictEqual({ from: 'write' })
+      expect(func).toHaveBeenCalledTimes(1)
+    })
+
+    test('should reach per args entries from write / delete / invalidate', async () => {
+      const func = jest.fn().mockImplementation(async (id) => ({ id, from: 'loader' }))
+      const getById = cache.redisCacheReadThrough({ func, key: 'byId', ttlMs: 1000, inAppTtlMs: 1000 })
+
+      await getById(1)
+      await cache.redisCacheWrite({ data: { id: 1, from: 'write' }, key: 'byId', args: [1], ttlMs: 1000 })
+      expect(await getById(1)).toStrictEqual({ id: 1, from: 'write' })
+
+      await cache.redisCacheDelete({ key: 'byId', args: [1] })
+      expect(await getById(1)).toStrictEqual({ id: 1, from: 'loader' })
+      expect(func).toHaveBeenCalledTimes(2)
+
+      await cache.invalidate({ keys: ['byId'], args: [1] })
+      expect(inAppStore.has(cache.cacheKeyOf({ key: 'byId', args: [1] }))).toStrictEqual(false)
+    })
+  })
+
+  describe('negative caching', () => {
+    test('should cache null result for negativeTtlMs', async () => {
+      const func = jest.fn().mockResolvedValue(null)
+      const getById = cache.redisCacheReadThrough({
+        func, key: 'byId',
+        ttlMs: 1000, inAppTtlMs: 0,
+        negativeTtlMs: 100,
+      })
+
+      expect(await getById(1)).toStrictEqual(null)
+      // make sure second call is served by redis
+      inAppStore.clear()
+      expect(await getById(1)).toStrictEqual(null)
+      expect(func).toHaveBeenCalledTimes(1)
+
+      // written under lock, so carry the fencing token
+      expect(redisMasterClient.eval).toHaveBeenCalledWith(
+        expect.any(String),
+        {
+          keys: [argsKeyBuilder('byId', [1]), expect.stringMatching(/\.fencing$/)],
+          arguments: [expect.any(Buffer), '100', '1'],
+        },
+      )
+    })
+
+    test('should not cache null result without negativeTtlMs', async () => {
+      const getById = cache.redisCacheReadThrough({
+        func: async () => null,
+        key: 'byId',
+        ttlMs: 1000, inAppTtlMs: 0,
+      })
+
+      await expect(getById(1)).rejects.toThrow('marshall null data')
+    })
+  })
+
+  describe('codec', () => {
+    test('should write with given codec and read any format', async () => {
+      const codec = createCodec({ encoder: 'json', compressor: 'gzip' })
+      cache = create({ inAppStore, redisReplicaClient, redisMasterClient, codec })
+
+      await cache.redisCacheWrite({ data: { data: 'new' }, key: 'new', ttlMs: 1000 })
+      expect(await codec.unmarshall(redisMasterClient.data.get('new'))).toStrictEqual({ data: 'new' })
+
+      redisReplicaClient.data.set('old', await msgpackSnappyMarsh.marshall({ data: 'old' }))
+      const got = await cache.redisCacheOnlyReadThrough({
+        funcWoArgs: async () => ({ data: 'not this' }),
+        key: 'old',
+        ttlMs: 1000,
+      })
+      expect(got).toStrictEqual({ data: 'old' })
+    })
+  })
+
+  describe('redisCacheReadThroughMany', () => {
+    test('should read all tiers in batch and call batchLoader once', async () => {
+      inAppStore.set('a', Promise.resolve({ id: 'a' }))
+      redisReplicaClient.data.set('b', await msgpackSnappyMarsh.marshall({ id: 'b' }))
+      const batchLoader = jest.fn().mockImplementation(async (keys) => {
+        return keys.reduce((accum, key) => ({ ...accum, [key]: { id: key } }), {})
+      })
+
+      const got = await cache.redisCacheReadThroughMany({
+        keys: ['a', 'b', 'c', 'd'],
+        batchLoader,
+        ttlMs: 1000,
+        inAppTtlMs: 1000,
+      })
+
+      expect(got).toStrictEqual({
+        a: { id: 'a' },
+        b: { id: 'b' },
+        c: { id: 'c' },
+        d: { id: 'd' },
+      })
+      expect(redisReplicaClient.mGet).toHaveBeenCalledTimes(1)
+      expect(redisReplicaClient.mGet).toHaveBeenCalledWith(['b', 'c', 'd'])
+      expect(batchLoader).toHaveBeenCalledTimes(1)
+      expect(batchLoader).toHaveBeenCalledWith(['c', 'd'])
+      expect(redisMasterClient.multi).toHaveBeenCalledTimes(1)
+      expect(redisMasterClient.data.has('c')).toStrictEqual(true)
+      expect(redisMasterClient.data.has('d')).toStrictEqual(true)
+      expect(inAppStore.has('d')).toStrictEqual(true)
+    })
+
+    test('should not use cross-slot commands with cluster clients', async () => {
+      redisReplicaClient.getSlotMaster = jest.fn()
+      redisMasterClient.getSlotMaster = jest.fn()
+
+      const got = await cache.redisCacheReadThroughMany({
+        keys: ['a', 'b'],
+        batchLoader: async () => ({ a: { id: 'a' }, b: { id: 'b' } }),
+        ttlMs: 1000,
+      })
+
+      expect(got).toStrictEqual({ a: { id: 'a' }, b: { id: 'b' } })
+      expect(redisReplicaClient.mGet).not.toHaveBeenCalled()
+      expect(redisReplicaClient.get).toHaveBeenCalledTimes(2)
+      expect(redisMasterClient.multi).not.toHaveBeenCalled()
+      expect(redisMasterClient.set).toHaveBeenCalledTimes(2)
+    })
+
+    test('should return null for keys not returned by batchLoader', async () => {
+      const got = await cache.redisCacheReadThroughMany({
+        keys: ['a', 'b'],
+        batchLoader: async () => new Map([['a', { id: 'a' }]]),
+        ttlMs: 1000,
+        negativeTtlMs: 100,
+      })
+
+      expect(got).toStrictEqual({ a: { id: 'a' }, b: null })
+      expect(redisMasterClient.data.has('b')).toStrictEqual(true)
+    })
+
+    test('should not keep keys not returned by batchLoader without negativeTtlMs', async () => {
+      const batchLoader = jest.fn().mockResolvedValue({ b: { id: 'b' } })
+      const readMany = () => cache.redisCacheReadThroughMany({ keys: ['a', 'b'], batchLoader, ttlMs: 1000, inAppTtlMs: 1000 })
+
+      expect(await readMany()).toStrictEqual({ a: null, b: { id: 'b' } })
+      expect(inAppStore.has('a')).toStrictEqual(false)
+      expect(inAppStore.has('b')).toStrictEqual(true)
+
+      expect(await readMany()).toStrictEqual({ a: null, b: { id: 'b' } })
+      expect(batchLoader).toHaveBeenCalledTimes(2)
+      expect(batchLoader).toHaveBeenLastCalledWith(['a'])
+    })
+
+    test('should dedup with in-flight calls', async () => {
+      let resolveLoader
+      const batchLoader = jest.fn().mockImplementation(() => new Promise((resolve) => {
+        resolveLoader = resolve
+      }))
+
+      const first = cache.redisCacheReadThroughMany({ keys: ['a', 'b'], batchLoader, ttlMs: 1000 })
+      const second = cache.redisCacheReadThroughMany({ keys: ['b'], batchLoader, ttlMs: 1000 })
+      await new Promise((res) => setTimeout(res, 0))
+
+      resolveLoader({ a: { id: 'a' }, b: { id: 'b' } })
+      expect(await first).toStrictEqual({ a: { id: 'a' }, b: { id: 'b' } })
+      expect(await second).toStrictEqual({ b: { id: 'b' } })
+      expect(batchLoader).toHaveBeenCalledTimes(1)
+    })
+
+    test('should share entries and in-flight loads with redisCacheReadThrough', async () => {
+      let resolveSingle
+      const func = jest.fn().mockImplementation(() => new Promise((resolve) => {
+        resolveSingle = resolve
+      }))
+      const batchLoader = jest.fn().mockImplementation(async (keys) => {
+        return keys.reduce((accum, key) => ({ ...accum, [key]: { id: key, from: 'batch' } }), {})
+      })
+      const getSlide = (key) => cache.redisCacheReadThrough({ func, key, ttlMs: 1000, inAppTtlMs: 1000 })()
+
+      const single = getSlide('slide.1')
+      await new Promise((res) => setTimeout(res, 0))
+      const many = cache.redisCacheReadThroughMany({ keys: ['slide.1', 'slide.2'], batchLoader, ttlMs: 1000, inAppTtlMs: 1000 })
+      resolveSingle({ id: 'slide.1', from: 'single' })
+
+      expect(await many).toStrictEqual({
+        'slide.1': { id: 'slide.1', from: 'single' },
+        'slide.2': { id: 'slide.2', from: 'batch' },
+      })
+      expect(await single).toStrictEqual({ id: 'slide.1', from: 'single' })
+      expect(batchLoader).toHaveBeenCalledWith(['slide.2'])
+
+      inAppStore.clear()
+      expect(await getSlide('slide.2')).toStrictEqual({ id: 'slide.2', from: 'batch' })
+      expect(func).toHaveBeenCalledTimes(1)
+    })
+
+    test('should use keyBuilder for both tiers and give batchLoader keys as is', async () => {
+      const batchLoader = jest.fn().mockImplementation(async (keys) => {
+        return keys.reduce((accum, key) => ({ ...accum, [key]: { id: key } }), {})
+      })
+
+      const got = await cache.redisCacheReadThroughMany({
+        keys: ['a'], batchLoader, ttlMs: 1000, keyBuilder: (key) => `slide.${key}`,
+      })
+
+      expect(got).toStrictEqual({ a: { id: 'a' } })
+      expect(batchLoader).toHaveBeenCalledWith(['a'])
+      expect(redisMasterClient.data.has('slide.a')).toStrictEqual(true)
+    })
+
+    test('should reject and evict keys when batchLoader fails', async () => {
+      await expect(cache.redisCacheReadThroughMany({
+        keys: ['a'],
+        batchLoader: async () => { throw new Error('db error') },
+        ttlMs: 1000,
+      })).rejects.toThrow('db error')
+
+      await new Promise((res) => setTimeout(res, 0))
+      expect(inAppStore.has('a')).toStrictEqual(false)
+    })
+  })
+
+  describe('redisHashReadThrough', () => {
+    const key = 'session'
+
+    test('should load only missing fields', async () => {
+      const fieldsLoader = jest.fn().mockImplementation(async (fields) => {
+        return fields.reduce((accum, field) => ({ ...accum, [field]: { field } }), {})
+      })
+
+      const got = await cache.redisHashReadThrough({ key, fields: ['a', 'b'], fieldsLoader, ttlMs: 1000 })
+      expect(got).toStrictEqual({ a: { field: 'a' }, b: { field: 'b' } })
+      expect(fieldsLoader).toHaveBeenLastCalledWith(['a', 'b'])
+
+      const gotMore = await cache.redisHashReadThrough({ key, fields: ['a', 'c'], fieldsLoader, ttlMs: 1000 })
+      expect(gotMore).toStrictEqual({ a: { field: 'a' }, c: { field: 'c' } })
+      expect(fieldsLoader).toHaveBeenLastCalledWith(['c'])
+      expect(fieldsLoader).toHaveBeenCalledTimes(2)
+    })
+
+    test('should not extend hash-wide ttl on later fills', async () => {
+      await cache.redisHashReadThrough({
+        key, fields: ['a'], ttlMs: 1000,
+        fieldsLoader: async () => ({ a: { field: 'a' } }),
+      })
+
+      const pipeline = redisMasterClient.multi.mock.results[0].value
+      expect(pipeline.pExpire).toHaveBeenCalledWith(key, 1000, 'NX')
+    })
+
+    test('should return null and not cache fields not loaded', async () => {
+      const fieldsLoader = jest.fn().mockResolvedValue({})
+
+      const got = await cache.redisHashReadThrough({ key, fields: ['a'], fieldsLoader, ttlMs: 1000 })
+
+      expect(got).toStrictEqual({ a: null })
+      expect(redisMasterClient.multi).not.toHaveBeenCalled()
+    })
+
+    test('should invalidate single fields', async () => {
+      const fieldsLoader = jest.fn().mockImplementation(async (fields) => {
+        return fields.reduce((accum, field) => ({ ...accum, [field]: { field } }), {})
+      })
+      await cache.redisHashReadThrough({ key, fields: ['a', 'b'], fieldsLoader, ttlMs: 1000 })
+
+      await cache.redisHashInvalidate({ key, fields: ['b'] })
+      await cache.redisHashReadThrough({ key, fields: ['a', 'b'], fieldsLoader, ttlMs: 1000 })
+
+      expect(redisMasterClient.hDel).toHaveBeenCalledWith(key, ['b'])
+      expect(fieldsLoader).toHaveBeenLastCalledWith(['b'])
+    })
+  })
+
+  describe('redisCacheOnlyReadThrough', () => {
+    test('should use key as is', async () => {
+      const got = await cache.redisCacheOnlyReadThrough({
+        funcWoArgs: async () => ({ data: 'data' }),
+        key: 'key',
+        ttlMs: 1000,
+      })
+
+      expect(got).toStrictEqual({ data: 'data' })
+      expect(redisMasterClient.data.has('key')).toStrictEqual(true)
+    })
+  })
+
+  describe('write through / write behind', () => {
+    test('should persist then update both tiers', async () => {
+      const writer = jest.fn().mockResolvedValue('saved')
+
+      const written = await cache.redisCacheWriteThrough({
+        data: { id: 1 }, key: 'user.1', ttlMs: 1000, inAppTtlMs: 1000, writer,
+      })
+
+      expect(written).toBe('saved')
+      expect(writer).toHaveBeenCalledWith({ id: 1 })
+      expect(await msgpackSnappyMarsh.unmarshall(redisMasterClient.data.get('user.1'))).toStrictEqual({ id: 1 })
+      expect(inAppStore.get('user.1')).toStrictEqual({ id: 1 })
+    })
+
+    test('should cache nothing when writer fails', async () => {
+      inAppStore.set('user.1', { id: 1, old: true })
+
+      await expect(cache.redisCacheWriteThrough({
+        data: { id: 1 }, key: 'user.1', ttlMs: 1000, inAppTtlMs: 1000,
+        writer: async () => { throw new Error('db down') },
+      })).rejects.toThrow('db down')
+
+      expect(redisMasterClient.data.has('user.1')).toBe(false)
+      expect(inAppStore.get('user.1')).toStrictEqual({ id: 1, old: true })
+    })
+
+    test('should evict in-app tier without inAppTtlMs', async () => {
+      inAppStore.set('user.1', { id: 1, old: true })
+
+      await cache.redisCacheWriteThrough({ data: { id: 1 }, key: 'user.1', ttlMs: 1000, writer: async () => {} })
+
+      expect(inAppStore.has('user.1')).toBe(false)
+    })
+
+    test('should update cache right away and queue the change', async () => {
+      const writer = jest.fn().mockResolvedValue()
+      const writeBehind = createWriteBehind({ writer, merge: (previous, next) => previous + next })
+      cache = create({ inAppStore, redisReplicaClient, redisMasterClient, writeBehind })
+
+      await cache.redisCacheWriteBehind({ data: { votes: 1 }, change: 1, key: 'votes.1', ttlMs: 1000, inAppTtlMs: 1000 })
+      await cache.redisCacheWriteBehind({ data: { votes: 2 }, change: 1, key: 'votes.1', ttlMs: 1000, inAppTtlMs: 1000 })
+
+      expect(inAppStore.get('votes.1')).toStrictEqual({ votes: 2 })
+      expect(writer).not.toHaveBeenCalled()
+
+      await writeBehind.close()
+      expect(writer).toHaveBeenCalledWith([{ key: 'votes.1', data: 2 }])
+    })
+
+    test('should be served by read through of same key and args', async () => {
+      const func = jest.fn().mockImplementation(async (id) => ({ id, from: 'loader' }))
+      const getById = cache.redisCacheReadThrough({ func, key: 'byId', ttlMs: 1000, inAppTtlMs: 1000 })
+      const getAll = cache.redisCacheReadThrough({ func: async () => ({ from: 'loader' }), key: 'all', ttlMs: 1000, inAppTtlMs: 1000 })
+      await getById(1)
+      await getAll()
+
+      await cache.redisCacheWriteThrough({
+        data: { id: 1, from: 'write' }, key: 'byId', args: [1], ttlMs: 1000, inAppTtlMs: 1000, writer: async () => {},
+      })
+      await cache.redisCacheWriteThrough({
+        data: { from: 'write' }, key: 'all', ttlMs: 1000, writer: async () => {},
+      })
+
+      expect(await getById(1)).toStrictEqual({ id: 1, from: 'write' })
+      expect(await getAll()).toStrictEqual({ from: 'write' })
+      expect(func).toHaveBeenCalledTimes(1)
+    })
+
+    test('should require writeBehind', async () => {
+      await expect(cache.redisCacheWriteBehind({ data: {}, key: 'a', ttlMs: 1000 })).rejects.toThrow(TypeError)
+    })
+  })
+
+  describe('warmer', () => {
+    test('should warm what read through serves', async () => {
+      const func = jest.fn().mockImplementation(async (id) => ({ id }))
+      const warmer = createWarmer({ cache, masterClient: redisMasterClient })
+      warmer.register({ key: 'byId', args: [1], loader: func, ttlMs: 10000 })
+      warmer.register({ key: 'all', loader: async () => ({ all: true }), ttlMs: 10000 })
+      await warmer.start()
+      await warmer.stop()
+      inAppStore.clear()
+
+      const getById = cache.redisCacheReadThrough({ func, key: 'byId', ttlMs: 10000 })
+      const getAll = cache.redisCacheReadThrough({ func, key: 'all', ttlMs: 10000 })
+
+      expect(await getById(1)).toStrictEqual({ id: 1 })
+      expect(await getAll()).toStrictEqual({ all: true })
+      expect(func).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('early refresh', () => {
+    const argsKey = argsKeyBuilder('byId', [1])
+    const readThrough = (func) => cache.redisCacheReadThrough({
+      func, key: 'byId',
+      ttlMs: 60000, inAppTtlMs: 0,
+      earlyRefresh: { beta: 1 },
+    })
+    const putOnReplica = (envelope) => set(msgpackSnappyMarsh.marshall)({
+      client: redisReplicaClient, key: argsKey, value: xfetchEnvelope.wrap(envelope), ttlMs: 60000,
+    })
+    const getFromMaster = () => get(msgpackSnappyMarsh.unmarshall)({ client: redisMasterClient, key: argsKey })
+    // background refresh is not awaited by the read
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 20))
+
+    test('should store compute time and expiry with value', async () => {
+      const startMs = Date.now()
+      expect(await readThrough(async (id) => ({ id }))(1)).toStrictEqual({ id: 1 })
+
+      const stored = await getFromMaster()
+      expect(xfetchEnvelope.isEnvelope(stored)).toBe(true)
+      expect(stored.value).toStrictEqual({ id: 1 })
+      expect(stored.deltaMs).toBeGreaterThanOrEqual(0)
+      expect(stored.expiresAt).toBeGreaterThanOrEqual(startMs + 60000)
+    })
+
+    test('should refresh in background when close to expiry', async () => {
+      await putOnReplica({ value: { id: 1, old: true }, deltaMs: 1000, ttlMs: 10 })
+      jest.spyOn(Math, 'random').mockReturnValue(0.5)
+      const func = jest.fn().mockImplementation(async (id) => ({ id }))
+
+      try {
+        expect(await readThrough(func)(1)).toStrictEqual({ id: 1, old: true })
+      } finally {
+        Math.random.mockRestore()
+      }
+      await settle()
+
+      expect(func).toHaveBeenCalledTimes(1)
+      expect((await getFromMaster()).value).toStrictEqual({ id: 1 })
+    })
+
+    test('should not refresh far from expiry', async () => {
+      await putOnReplica({ value: { id: 1 }, deltaMs: 10, ttlMs: 60000 })
+      const func = jest.fn()
+
+      expect(await readThrough(func)(1)).toStrictEqual({ id: 1 })
+      await settle()
+
+      expect(func).not.toHaveBeenCalled()
+    })
+
+    test('should report background refresh failure', async () => {
+      const error = new Error('db down')
+      const onRevalidateError = jest.fn().mockImplementation(() => { throw new Error('faulty handler') })
+      const events = jest.fn()
+      cache = create({ inAppStore, redisReplicaClient, redisMasterClient, onRevalidateError, events })
+      await putOnReplica({ value: { id: 1, old: true }, deltaMs: 1000, ttlMs: 10 })
+      const unhandled = jest.fn()
+      process.on('unhandledRejection', unhandled)
+      jest.spyOn(Math, 'random').mockReturnValue(0.5)
+
+      try {
+        expect(await readThrough(async () => { throw error })(1)).toStrictEqual({ id: 1, old: true })
+        await settle()
+      } finally {
+        Math.random.mockRestore()
+        process.off('unhandledRejection', unhandled)
+      }
+
+      expect(onRevalidateError).toHaveBeenCalledWith({ key: argsKey, error })
+      expect(events).toHaveBeenCalledWith(EVENTS.revalidateFail, { key: argsKey, error })
+      expect(unhandled).not.toHaveBeenCalled()
+    })
+
+    test('should not be used with softTtlMs', () => {
+      expect(() => cache.redisCacheReadThrough({
+        func: async () => {}, key: 'byId', ttlMs: 1000, softTtlMs: 500, earlyRefresh: {},
+      })(1)).toThrow(TypeError)
+    })
+
+    test('should refresh more likely as expiry approaches', () => {
+      const now = Date.now()
+      const refreshRate = (expiresInMs) => {
+        let refreshed = 0
+        for (let i = 1; i < 100; i++) {
+          const cached = xfetchEnvelope.wrap({ value: 1, deltaMs: 100, ttlMs: 0 })
+          cached.expiresAt = now + expiresInMs
+          refreshed += Number(xfetchEnvelope.shouldRefresh(cached, 1, () => i / 100))
+        }
+        return refreshed
+      }
+
+      expect(refreshRate(10)).toBeGreaterThan(refreshRate(100))
+      expect(refreshRate(100)).toBeGreaterThan(refreshRate(400))
+      expect(refreshRate(-1)).toBe(99)
+    })
+
+    test('should not take loader data for an envelope', async () => {
+      const func = jest.fn().mockResolvedValue({ value: 1, deltaMs: 10, expiresAt: 0 })
+
+      expect(await readThrough(func)(1)).toStrictEqual({ value: 1, deltaMs: 10, expiresAt: 0 })
+      expect(await readThrough(func)(1)).toStrictEqual({ value: 1, deltaMs: 10, expiresAt: 0 })
+      expect(func).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('envelope', () => {
+    test('should not take loader data for an envelope', async () => {
+      const data = { value: 1, staleAt: 0 }
+      const readThrough = cache.redisCacheReadThrough({ func: async () => data, key: 'swr', ttlMs: 60000, softTtlMs: 1000 })
+      const plainReadThrough = cache.redisCacheReadThrough({ func: async () => data, key: 'plain', ttlMs: 60000 })
+      await readThrough()
+      await plainReadThrough()
+      inAppStore.clear()
+
+      expect(await readThrough()).toStrictEqual(data)
+      expect(await plainReadThrough()).toStrictEqual(data)
+    })
+
+    test('should be unwrapped by readers without refresh options', async () => {
+      const writeSwr = cache.redisCacheReadThrough({ func: async () => ({ id: 1 }), key: 'user.1', ttlMs: 60000, softTtlMs: 1000 })
+      await writeSwr()
+      inAppStore.clear()
+      const func = jest.fn()
+
+      expect(await cache.redisCacheReadThrough({ func, key: 'user.1', ttlMs: 60000 })()).toStrictEqual({ id: 1 })
+      expect(await cache.redisCacheReadThroughMany({ keys: ['user.1'], batchLoader: func, ttlMs: 60000 })).toStrictEqual({ 'user.1': { id: 1 } })
+      expect(func).not.toHaveBeenCalled()
+      expect(swrEnvelope.isEnvelope(await get(msgpackSnappyMarsh.unmarshall)({ client: redisMasterClient, key: 'user.1' }))).toBe(true)
+    })
+  })
+
+  describe('loader retry', () => {
+    test('should retry func with loaderRetry policy', async () => {
+      cache = create({
+        inAppStore, redisReplicaClient, redisMasterClient,
+        loaderRetry: { maxAttempts: 2, baseDelayMs: 1 },
+      })
+      const func = jest.fn()
+        .mockRejectedValueOnce(new Error('db timeout'))
+        .mockImplementation(async (id) => ({ id }))
+
+      const getById = cache.redisCacheReadThrough({ func, key: 'byId', ttlMs: 1000, inAppTtlMs: 1000 })
+
+      expect(await getById(1)).toStrictEqual({ id: 1 })
+      expect(func).toHaveBeenCalledTimes(2)
+    })
+
+    test('should let read through override the policy', async () => {
+      cache = create({
+        inAppStore, redisReplicaClient, redisMasterClient,
+        loaderRetry: { maxAttempts: 2, baseDelayMs: 1 },
+      })
+      const batchLoader = jest.fn().mockRejectedValue(new Error('db timeout'))
+
+      await expect(cache.redisCacheReadThroughMany({
+        keys: ['a'], batchLoader, ttlMs: 1000, inAppTtlMs: 1000,
+        retry: { maxAttempts: 3, baseDelayMs: 1 },
+      })).rejects.toThrow('db timeout')
+      expect(batchLoader).toHaveBeenCalledTimes(3)
+    })
+
+    test('should not retry by default', async () => {
+      const func = jest.fn().mockRejectedValue(new Error('db timeout'))
+      const getById = cache.redisCacheReadThrough({ func, key: 'byId', ttlMs: 1000, inAppTtlMs: 1000 })
+
+      await expect(getById(1)).rejects.toThrow('db timeout')
+      expect(func).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('optimistic lock mode', () => {
+    let redisMasterPool
+
+    beforeEach(() => {
+      redisMasterPool = createMockPool(redisMasterClient)
+      cache = create({ inAppStore, redisReplicaClient, redisMasterClient, redisMasterPool })
+    })
+
+    test('should set without lock', async () => {
+      const getById = cache.redisCacheReadThrough({
+        func: async (id) => ({ id }),
+        key: 'byId',
+        ttlMs: 1000, inAppTtlMs: 0,
+        lockMode: LOCK_MODE.optimistic,
+      })
+
+      expect(await getById(1)).toStrictEqual({ id: 1 })
+      expect(redisMasterClient.data.has(argsKeyBuilder('byId', [1]))).toStrictEqual(true)
+      expect(redisMasterClient.eval).not.toHaveBeenCalled()
+    })
+
+    test('should return value of the winner on conflict', async () => {
+      const argsKey = argsKeyBuilder('byId', [1])
+      const winner = await msgpackSnappyMarsh.marshall({ id: 1, by: 'winner' })
+      const func = jest.fn().mockImplementation(async (id) => {
+        // written by someone else while loading
+        redisMasterClient.data.set(argsKey, winner)
+        return { id }
+      })
+      const getById = cache.redisCacheReadThrough({
+        func, key: 'byId',
+        ttlMs: 1000, inAppTtlMs: 0,
+        lockMode: LOCK_MODE.optimistic,
+      })
+
+      expect(await getById(1)).toStrictEqual({ id: 1, by: 'winner' })
+      expect(func).toHaveBeenCalledTimes(1)
+      expect(redisMasterPool.execute).toHaveBeenCalledTimes(2)
+    })
+
+    test('should not leave connection watching when found on master', async () => {
+      const argsKey = argsKeyBuilder('byId', [1])
+      redisMasterClient.data.set(argsKey, await msgpackSnappyMarsh.marshall({ id: 1 }))
+      let connection
+      redisMasterPool.execute.mockImplementationOnce(async (fn) => {
+        connection = { ...redisMasterClient, watch: jest.fn(), unwatch: jest.fn() }
+        return fn(connection)
+      })
+      const func = jest.fn()
+      const getById = cache.redisCacheReadThrough({
+        func, key: 'byId',
+        ttlMs: 1000, inAppTtlMs: 0,
+        lockMode: LOCK_MODE.optimistic,
+      })
+
+      expect(await getById(1)).toStrictEqual({ id: 1 })
+      expect(func).not.toHaveBeenCalled()
+      expect(connection.watch).toHaveBeenCalledWith(argsKey)
+      expect(connection.unwatch).toHaveBeenCalled()
+    })
+
+    test('should require redisMasterPool', () => {
+      cache = create({ inAppStore, redisReplicaClient, redisMasterClient })
+
+      expect(() => cache.redisCacheReadThrough({
+        func: async () => {}, key: 'byId', ttlMs: 1000,
+        lockMode: LOCK_MODE.optimistic,
+      })).toThrow('redisMasterPool is required')
+    })
+  })
+
+  describe('signal', () => {
+    test('should stop waiting for the lock once aborted', async () => {
+      const argsKey = argsKeyBuilder('byId', [1])
+      // held by another instance
+      redisMasterClient.data.set(simpleLock.lockName(simpleLock.lockName(argsKey)), 'other')
+      const circuitBreaker = createCircuitBreaker({ failureThreshold: 1 })
+      cache = create({ inAppStore, redisReplicaClient, redisMasterClient, circuitBreaker })
+      const controller = new AbortController()
+      const func = jest.fn()
+      const getById = cache.redisCacheReadThrough({ func, key: 'byId', ttlMs: 1000, signal: controller.signal })
+
+      const got = getById(1)
+      setTimeout(() => controller.abort(new Error('request cancelled')), 20)
+
+      await expect(got).rejects.toThrow('request cancelled')
+      expect(func).not.toHaveBeenCalled()
+      expect(circuitBreaker.state()).toStrictEqual('closed')
+    })
+  })
+
+  describe('lease loss', () => {
+    beforeEach(() => {
+      jest.useFakeTimers()
+      // extend fails, lease (5000ms by default) is lost once extend is tried
+      const evalFunc = redisMasterClient.eval.getMockImplementation()
+      redisMasterClient.eval.mockImplementation(async (script, opts) => {
+        return script === lockScripts.extend ? 0 : evalFunc(script, opts)
+      })
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    const slowFunc = (ms) => (id) => new Promise((resolve) => setTimeout(() => resolve({ id }), ms))
+
+    test('should return value without writing it by default', async () => {
+      const getById = cache.redisCacheReadThrough({ func: slowFunc(3000), key: 'byId', ttlMs: 1000, inAppTtlMs: 0 })
+
+      const got = getById(1)
+      await jest.advanceTimersByTimeAsync(3000)
+
+      expect(await got).toStrictEqual({ id: 1 })
+      expect(redisMasterClient.data.has(argsKeyBuilder('byId', [1]))).toStrictEqual(false)
+    })
+
+    test('should reject right away with LEASE_LOST.abort', async () => {
+      const getById = cache.redisCacheReadThrough({
+        func: slowFunc(10000), key: 'byId', ttlMs: 1000, inAppTtlMs: 0,
+        onLeaseLost: LEASE_LOST.abort,
+      })
+
+      const assertion = expect(getById(1)).rejects.toThrow(LeaseLostError)
+      await jest.advanceTimersByTimeAsync(2500)
+
+      await assertion
+    })
+  })
+})
@@ -0,0 +1,49 @@
+const { generateRandomString } = require('./random')
+
+// broadcast in-app cache invalidations to other processes over a redis channel
+//
+// subscriberClient must be a dedicated connection (e.g. masterClient.duplicate()),
+// a client in subscriber mode can not run other commands
+const createInvalidationBus = async ({
+  publisherClient,
+  subscriberClient,
+  channel = 'ahaKit.invalidation',
+}) => {
+  // used to ignore messages published by ourself
+  const instanceId = generateRandomString(8) + Date.now()
+  const listeners = new Set()
+
+  const onMessage = (message) => {
+    let parsed
+    try {
+      parsed = JSON.parse(message)
+    } catch (err) {
+      return
+    }
+    if (parsed == null || parsed.from === instanceId || !Array.isArray(parsed.keys)) {
+      return
+    }
+    listeners.forEach((listener) => listener(parsed.keys))
+  }
+
+  await subscriberClient.subscribe(channel, onMessage)
+
+  return {
+    instanceId,
+    onInvalidate: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    publish: (keys) => {
+      return publisherClient.publish(channel, JSON.stringify({ from: instanceId, keys }))
+    },
+    close: () => {
+      listeners.clear()
+      return subscriberClient.unsubscribe(channel, onMessage)
+    },
+  }
+}
+
+module.exports = {
+  createInvalidationBus,
+}
@@ -0,0 +1,120 @@
+const { createInvalidationBus } = require('./invalidation')
+const { create, createInAppStore } = require('./index')
+
+describe('invalidationBus', () => {
+  let publisherClient
+  let subscriberClient
+  let channelListeners
+
+  beforeEach(() => {
+    channelListeners = []
+    // messages published are delivered back to every subscriber, like redis does
+    publisherClient = {
+      publish: jest.fn().mockImplementation(async (channel, message) => {
+        channelListeners.forEach((listener) => listener(message))
+        return channelListeners.length
+      }),
+    }
+    subscriberClient = {
+      subscribe: jest.fn().mockImplementation(async (channel, listener) => {
+        channelListeners.push(listener)
+      }),
+      unsubscribe: jest.fn().mockResolvedValue(undefined),
+    }
+  })
+
+  test('should subscribe to given channel', async () => {
+    await createInvalidationBus({ publisherClient, subscriberClient, channel: 'test-channel' })
+
+    expect(subscriberClient.subscribe).toHaveBeenCalledWith('test-channel', expect.any(Function))
+  })
+
+  test('should ignore messages published by itself', async () => {
+    const bus = await createInvalidationBus({ publisherClient, subscriberClient })
+    const listener = jest.fn()
+    bus.onInvalidate(listener)
+
+    await bus.publish(['key'])
+
+    expect(publisherClient.publish).toHaveBeenCalledTimes(1)
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  test('should notify listeners on messages from peers', async () => {
+    const bus = await createInvalidationBus({ publisherClient, subscriberClient })
+    const peerBus = await createInvalidationBus({ publisherClient, subscriberClient })
+    const listener = jest.fn()
+    bus.onInvalidate(listener)
+
+    await peerBus.publish(['key1', 'key2'])
+
+    expect(listener).toHaveBeenCalledWith(['key1', 'key2'])
+  })
+
+  test('should ignore malformed messages', async () => {
+    const bus = await createInvalidationBus({ publisherClient, subscriberClient })
+    const listener = jest.fn()
+    bus.onInvalidate(listener)
+
+    channelListeners.forEach((l) => l('not json'))
+    channelListeners.forEach((l) => l(JSON.stringify({ from: 'peer' })))
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  describe('with create()', () => {
+    const key = 'key'
+    const redisMasterClient = {
+      set: jest.fn().mockResolvedValue('OK'),
+      del: jest.fn().mockResolvedValue(1),
+    }
+
+    test('write on one instance should remove key from inAppStore of the others', async () => {
+      const inAppStore = createInAppStore({})
+      const peerInAppStore = createInAppStore({})
+
+      const cache = create({
+        inAppStore,
+        redisMasterClient,
+        invalidationBus: await createInvalidationBus({ publisherClient, subscriberClient }),
+      })
+      const peerCache = create({
+        inAppStore: peerInAppStore,
+        redisMasterClient,
+        invalidationBus: await createInvalidationBus({ publisherClient, subscriberClient }),
+      })
+
+      await cache.inAppCacheReadThrough({ funcWoArgs: () => 'old', key, ttlMs: 1000 })
+      await peerCache.inAppCacheReadThrough({ funcWoArgs: () => 'old', key, ttlMs: 1000 })
+
+      await cache.redisCacheWrite({ data: { data: 'new' }, key, ttlMs: 1000 })
+
+      expect(inAppStore.has(key)).toStrictEqual(false)
+      expect(peerInAppStore.has(key)).toStrictEqual(false)
+    })
+
+    test('explicit invalidate should remove key everywhere', async () => {
+      const inAppStore = createInAppStore({})
+      const peerInAppStore = createInAppStore({})
+
+      const cache = create({
+        inAppStore,
+        redisMasterClient,
+        invalidationBus: await createInvalidationBus({ publisherClient, subscriberClient }),
+      })
+      create({
+        inAppStore: peerInAppStore,
+        redisMasterClient,
+        invalidationBus: await createInvalidationBus({ publisherClient, subscriberClient }),
+      })
+
+      inAppStore.set(key, 'old')
+      peerInAppStore.set(key, 'old')
+
+      await cache.invalidate({ keys: [key] })
+
+      expect(inAppStore.has(key)).toStrictEqual(false)
+      expect(peerInAppStore.has(key)).toStrictEqual(false)
+    })
+  })
+})
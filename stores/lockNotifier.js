@@ -0,0 +1,94 @@
+// wake lock waiters as soon as the holder releases, instead of at their next backoff poll
+//
+// simpleLock release publishes on a per-lock channel (see simpleLock.channelName),
+// waiters subscribe to it only while waiting, one subscription per channel
+// however many waiters in this process
+//
+// subscriberClient must be a dedicated connection (e.g. masterClient.duplicate()),
+// a client in subscriber mode can not run other commands
+//
+// a notification can still be missed (e.g. released right before subscribed),
+// so waiters keep polling with backoff as fallback
+const createLockNotifier = ({ subscriberClient }) => {
+  // channel => { waiters, onMessage, subscribing }
+  const channels = new Map()
+
+  const _join = (channel, waiter) => {
+    let joined = channels.get(channel)
+    if (!joined) {
+      const waiters = new Set()
+      const onMessage = () => waiters.forEach((_waiter) => _waiter.notify())
+      joined = {
+        waiters,
+        onMessage,
+        // not subscribed is same as missed notifications, polling still works
+        subscribing: Promise.resolve(subscriberClient.subscribe(channel, onMessage)).catch(() => {}),
+      }
+      channels.set(channel, joined)
+    }
+    joined.waiters.add(waiter)
+    return joined
+  }
+
+  const _leave = (channel, waiter) => {
+    const joined = channels.get(channel)
+    if (!joined || !joined.waiters.delete(waiter) || joined.waiters.size > 0) {
+      return
+    }
+    channels.delete(channel)
+    Promise.resolve(subscriberClient.unsubscribe(channel, joined.onMessage)).catch(() => {})
+  }
+
+  // wait: ({ delayMs, signal }) => resolve on notification or after delayMs,
+  // same shape as waitFunc of tryWithBackoffRetry
+  // notifications received between 2 waits are kept, so the next wait returns right away
+  const waiter = (channel) => {
+    let notified = false
+    let wake
+    const self = {
+      notify: () => {
+        notified = true
+        wake?.()
+      },
+    }
+    const { subscribing } = _join(channel, self)
+
+    const wait = async ({ delayMs, signal }) => {
+      await subscribing
+      signal?.throwIfAborted()
+      if (notified) {
+        notified = false
+        return
+      }
+
+      await new Promise((resolve, reject) => {
+        const done = (error) => {
+          clearTimeout(timer)
+          signal?.removeEventListener('abort', onAbort)
+          wake = undefined
+          notified = false
+          error ? reject(error) : resolve()
+        }
+        const onAbort = () => done(signal.reason)
+        const timer = setTimeout(() => done(), delayMs)
+        wake = () => done()
+        signal?.addEventListener('abort', onAbort, { once: true })
+      })
+    }
+
+    return {
+      wait,
+      close: () => _leave(channel, self),
+    }
+  }
+
+  return {
+    waiter,
+    // number of channels subscribed, for monitoring / tests
+    size: () => channels.size,
+  }
+}
+
+module.exports = {
+  createLockNotifier,
+}
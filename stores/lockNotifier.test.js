@@ -0,0 +1,130 @@
+const { EventEmitter } = require('events')
+const { createLockNotifier } = require('./lockNotifier')
+const { simpleLock } = require('./redis')
+
+// in-memory pub/sub, same subscribe / unsubscribe shape as node-redis
+const createMockSubscriber = () => {
+  const emitter = new EventEmitter()
+  return {
+    subscribe: jest.fn().mockImplementation(async (channel, listener) => {
+      emitter.on(channel, listener)
+    }),
+    unsubscribe: jest.fn().mockImplementation(async (channel, listener) => {
+      emitter.off(channel, listener)
+    }),
+    publish: (channel, message) => emitter.emit(channel, message, channel),
+  }
+}
+
+describe('createLockNotifier', () => {
+  let subscriberClient
+  let notifier
+
+  beforeEach(() => {
+    subscriberClient = createMockSubscriber()
+    notifier = createLockNotifier({ subscriberClient })
+  })
+
+  test('should wake up waiter on notification', async () => {
+    const waiter = notifier.waiter('lock.released')
+    const startMs = Date.now()
+
+    const waiting = waiter.wait({ delayMs: 5000 })
+    await new Promise(setImmediate)
+    subscriberClient.publish('lock.released', 'lock')
+    await waiting
+
+    expect(Date.now() - startMs).toBeLessThan(1000)
+    waiter.close()
+  })
+
+  test('should resolve after delayMs without notification', async () => {
+    const waiter = notifier.waiter('lock.released')
+    const startMs = Date.now()
+
+    await waiter.wait({ delayMs: 50 })
+
+    expect(Date.now() - startMs).toBeGreaterThanOrEqual(45)
+    waiter.close()
+  })
+
+  test('should keep notification received between waits', async () => {
+    const waiter = notifier.waiter('lock.released')
+    await waiter.wait({ delayMs: 0 })
+    subscriberClient.publish('lock.released', 'lock')
+
+    const startMs = Date.now()
+    await waiter.wait({ delayMs: 5000 })
+
+    expect(Date.now() - startMs).toBeLessThan(1000)
+    waiter.close()
+  })
+
+  test('should subscribe once per channel and unsubscribe after last waiter', async () => {
+    const waiter1 = notifier.waiter('lock.released')
+    const waiter2 = notifier.waiter('lock.released')
+    expect(subscriberClient.subscribe).toHaveBeenCalledTimes(1)
+    expect(notifier.size()).toBe(1)
+
+    waiter1.close()
+    expect(subscriberClient.unsubscribe).not.toHaveBeenCalled()
+    waiter2.close()
+    expect(subscriberClient.unsubscribe).toHaveBeenCalledTimes(1)
+    expect(notifier.size()).toBe(0)
+  })
+
+  test('should reject once signal aborts', async () => {
+    const waiter = notifier.waiter('lock.released')
+    const controller = new AbortController()
+
+    const waiting = waiter.wait({ delayMs: 5000, signal: controller.signal })
+    controller.abort(new Error('request cancelled'))
+
+    await expect(waiting).rejects.toThrow('request cancelled')
+    waiter.close()
+  })
+
+  test('should still poll when subscribe fails', async () => {
+    subscriberClient.subscribe.mockRejectedValue(new Error('connection lost'))
+    const waiter = notifier.waiter('lock.released')
+
+    await expect(waiter.wait({ delayMs: 10 })).resolves.toBeUndefined()
+    waiter.close()
+  })
+
+  describe('with simpleLock', () => {
+    test('should aquire right after holder releases', async () => {
+      const lockName = simpleLock.lockName('test-lock')
+      const channel = simpleLock.channelName(lockName)
+      let held = true
+      const masterClient = {
+        eval: jest.fn().mockImplementation(async () => held ? null : 1),
+      }
+
+      const startMs = Date.now()
+      const aquiring = simpleLock.aquire({ retryTimeoutMs: 10000, notifier })({
+        masterClient, name: 'test-lock', ttlMs: 1000,
+      })
+      // let it fail a few times so backoff delay grows
+      await new Promise((resolve) => setTimeout(resolve, 400))
+      held = false
+      subscriberClient.publish(channel, lockName)
+      const lock = await aquiring
+
+      expect(lock).toHaveProperty('release')
+      expect(Date.now() - startMs).toBeLessThan(700)
+      expect(subscriberClient.subscribe).toHaveBeenCalledWith(channel, expect.any(Function))
+      expect(notifier.size()).toBe(0)
+    })
+
+    test('should not subscribe when lock is free', async () => {
+      const masterClient = { eval: jest.fn().mockResolvedValue(1) }
+
+      await simpleLock.aquire({ retryTimeoutMs: 1000, notifier })({
+        masterClient, name: 'test-lock', ttlMs: 1000,
+      })
+
+      expect(subscriberClient.subscribe).not.toHaveBeenCalled()
+    })
+  })
+})
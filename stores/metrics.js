@@ -0,0 +1,150 @@
+// events reported by cache tiers (see create({ events })), payload is always an object
+const EVENTS = {
+  inAppHit: 'inApp.hit', // { key, settled }, settled false when hit an in-flight promise
+  inAppMiss: 'inApp.miss', // { key }
+  replicaHit: 'replica.hit', // { key }
+  masterHit: 'master.hit', // { key }, found on master after lock aquired
+  loader: 'loader', // { key (or keys for batch), durationMs, error }
+  lockWait: 'lock.wait', // { key, waitMs }
+  lockFail: 'lock.fail', // { key, waitMs, error }
+  revalidateFail: 'revalidate.fail', // { key, error }, background refresh (softTtlMs / earlyRefresh) failed
+  marshall: 'marshall', // { bytes }
+  unmarshall: 'unmarshall', // { bytes }
+  circuitStateChange: 'circuit.stateChange', // { from, to }
+}
+
+// sink can be a function (event, payload) => void or an EventEmitter
+// a faulty sink must never break the cache, so errors are swallowed
+const toEmit = (sink) => {
+  if (sink == null) {
+    return () => {}
+  }
+
+  let _emit
+  if (typeof sink == 'function') {
+    _emit = sink
+  } else if (typeof sink.emit == 'function') {
+    _emit = (event, payload) => sink.emit(event, payload)
+  } else {
+    throw new TypeError('Expected a function or an EventEmitter')
+  }
+
+  return (event, payload) => {
+    try {
+      _emit(event, payload)
+    } catch (err) {
+      // ignore
+    }
+  }
+}
+
+const timeMs = () => Number(process.hrtime.bigint()) / 1e6
+
+// aggregate events into prometheus text exposition format
+//
+// usage:
+//   const collector = createPrometheusCollector()
+//   create({ ..., events: collector.sink })
+//   app.get('/metrics', (req, res) => res.type('text/plain').send(collector.render()))
+const createPrometheusCollector = ({ prefix = 'ahakit' } = {}) => {
+  const counters = new Map()
+  const summaries = new Map()
+
+  const metrics = {
+    lookups: { name: `${prefix}_cache_lookups_total`, type: 'counter', help: 'Cache lookups by tier and result.' },
+    loaderDuration: { name: `${prefix}_loader_duration_ms`, type: 'summary', help: 'Loader execution duration in ms.' },
+    loaderErrors: { name: `${prefix}_loader_errors_total`, type: 'counter', help: 'Loader executions that threw.' },
+    lockWait: { name: `${prefix}_lock_wait_ms`, type: 'summary', help: 'Time spent waiting for a lock in ms.' },
+    lockFailures: { name: `${prefix}_lock_failures_total`, type: 'counter', help: 'Lock aquisitions that failed.' },
+    revalidateFailures: { name: `${prefix}_revalidate_failures_total`, type: 'counter', help: 'Background refreshes that failed.' },
+    payloadBytes: { name: `${prefix}_payload_bytes`, type: 'summary', help: 'Marshalled payload size in bytes.' },
+    circuitStateChanges: { name: `${prefix}_circuit_state_changes_total`, type: 'counter', help: 'Redis circuit breaker state changes.' },
+  }
+
+  const _labelsKey = (labels = {}) => {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${v}"`)
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+  }
+
+  const inc = (metric, labels) => {
+    const seriesKey = metric.name + _labelsKey(labels)
+    counters.set(seriesKey, { metric, labels, value: (counters.get(seriesKey)?.value || 0) + 1 })
+  }
+
+  const observe = (metric, labels, value) => {
+    const seriesKey = metric.name + _labelsKey(labels)
+    const series = summaries.get(seriesKey) || { metric, labels, sum: 0, count: 0 }
+    series.sum += value
+    series.count += 1
+    summaries.set(seriesKey, series)
+  }
+
+  const sink = (event, payload = {}) => {
+    switch (event) {
+      case EVENTS.inAppHit:
+        return inc(metrics.lookups, { tier: 'in_app', result: 'hit' })
+      case EVENTS.inAppMiss:
+        return inc(metrics.lookups, { tier: 'in_app', result: 'miss' })
+      case EVENTS.replicaHit:
+        return inc(metrics.lookups, { tier: 'replica', result: 'hit' })
+      case EVENTS.masterHit:
+        return inc(metrics.lookups, { tier: 'master', result: 'hit' })
+      case EVENTS.loader:
+        observe(metrics.loaderDuration, {}, payload.durationMs)
+        if (payload.error) {
+          inc(metrics.loaderErrors)
+        }
+        return
+      case EVENTS.lockWait:
+        return observe(metrics.lockWait, {}, payload.waitMs)
+      case EVENTS.lockFail:
+        return inc(metrics.lockFailures)
+      case EVENTS.revalidateFail:
+        return inc(metrics.revalidateFailures)
+      case EVENTS.marshall:
+        return observe(metrics.payloadBytes, { op: 'marshall' }, payload.bytes)
+      case EVENTS.unmarshall:
+        return observe(metrics.payloadBytes, { op: 'unmarshall' }, payload.bytes)
+      case EVENTS.circuitStateChange:
+        return inc(metrics.circuitStateChanges, { to: payload.to })
+    }
+  }
+
+  const render = () => {
+    const lines = []
+    Object.values(metrics).forEach((metric) => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`)
+      lines.push(`# TYPE ${metric.name} ${metric.type}`)
+      counters.forEach((series) => {
+        if (series.metric === metric) {
+          lines.push(`${metric.name}${_labelsKey(series.labels)} ${series.value}`)
+        }
+      })
+      summaries.forEach((series) => {
+        if (series.metric === metric) {
+          lines.push(`${metric.name}_sum${_labelsKey(series.labels)} ${series.sum}`)
+          lines.push(`${metric.name}_count${_labelsKey(series.labels)} ${series.count}`)
+        }
+      })
+    })
+    return lines.join('\n') + '\n'
+  }
+
+  const reset = () => {
+    counters.clear()
+    summaries.clear()
+  }
+
+  return {
+    sink,
+    render,
+    reset,
+  }
+}
+
+module.exports = {
+  EVENTS,
+  toEmit,
+  timeMs,
+  createPrometheusCollector,
+}
@@ -0,0 +1,103 @@
+const EventEmitter = require('events')
+const { EVENTS, toEmit, createPrometheusCollector } = require('./metrics')
+const { create, createInAppStore } = require('./index')
+
+describe('metrics', () => {
+  describe('toEmit', () => {
+    test('should accept a function', () => {
+      const sink = jest.fn()
+      toEmit(sink)(EVENTS.inAppHit, { key: 'key' })
+
+      expect(sink).toHaveBeenCalledWith(EVENTS.inAppHit, { key: 'key' })
+    })
+
+    test('should accept an EventEmitter', () => {
+      const emitter = new EventEmitter()
+      const listener = jest.fn()
+      emitter.on(EVENTS.inAppHit, listener)
+
+      toEmit(emitter)(EVENTS.inAppHit, { key: 'key' })
+
+      expect(listener).toHaveBeenCalledWith({ key: 'key' })
+    })
+
+    test('should swallow sink errors', () => {
+      const emit = toEmit(() => { throw new Error('sink error') })
+
+      expect(() => emit(EVENTS.inAppHit, {})).not.toThrow()
+    })
+
+    test('should throw on invalid sink', () => {
+      expect(() => toEmit({})).toThrow(TypeError)
+    })
+  })
+
+  describe('createPrometheusCollector', () => {
+    test('should render counters and summaries', () => {
+      const collector = createPrometheusCollector({ prefix: 'test' })
+
+      collector.sink(EVENTS.inAppHit, { key: 'key' })
+      collector.sink(EVENTS.inAppHit, { key: 'key' })
+      collector.sink(EVENTS.inAppMiss, { key: 'key' })
+      collector.sink(EVENTS.loader, { key: 'key', durationMs: 10 })
+      collector.sink(EVENTS.loader, { key: 'key', durationMs: 30, error: new Error() })
+      collector.sink(EVENTS.marshall, { bytes: 100 })
+      collector.sink(EVENTS.revalidateFail, { key: 'key', error: new Error() })
+
+      const text = collector.render()
+      expect(text).toContain('# TYPE test_cache_lookups_total counter')
+      expect(text).toContain('test_cache_lookups_total{tier="in_app",result="hit"} 2')
+      expect(text).toContain('test_cache_lookups_total{tier="in_app",result="miss"} 1')
+      expect(text).toContain('test_loader_duration_ms_sum 40')
+      expect(text).toContain('test_loader_duration_ms_count 2')
+      expect(text).toContain('test_loader_errors_total 1')
+      expect(text).toContain('test_payload_bytes_sum{op="marshall"} 100')
+      expect(text).toContain('test_revalidate_failures_total 1')
+    })
+
+    test('should reset', () => {
+      const collector = createPrometheusCollector()
+      collector.sink(EVENTS.lockFail, { key: 'key' })
+      collector.reset()
+
+      expect(collector.render()).not.toContain('ahakit_lock_failures_total 1')
+    })
+  })
+
+  describe('with create()', () => {
+    test('should report events of all tiers', async () => {
+      const data = new Map()
+      const redisClient = {
+        withTypeMapping: () => redisClient,
+        get: jest.fn().mockImplementation(async (key) => data.get(key) || null),
+        set: jest.fn().mockImplementation(async (key, value) => data.set(key, value) && 'OK'),
+        eval: jest.fn().mockResolvedValue(1),
+      }
+      const sink = jest.fn()
+      const cache = create({
+        inAppStore: createInAppStore({}),
+        redisReplicaClient: redisClient,
+        redisMasterClient: redisClient,
+        events: sink,
+      })
+
+      const getById = cache.redisCacheReadThrough({
+        func: async (id) => ({ id }),
+        key: 'byId',
+        ttlMs: 1000,
+        inAppTtlMs: 1000,
+      })
+      await getById(1)
+      await getById(1)
+
+      const events = sink.mock.calls.map(([event]) => event)
+      expect(events).toEqual(expect.arrayContaining([
+        EVENTS.inAppMiss,
+        EVENTS.inAppHit,
+        EVENTS.lockWait,
+        EVENTS.loader,
+        EVENTS.marshall,
+      ]))
+    })
+  })
+})
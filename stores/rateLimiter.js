@@ -0,0 +1,194 @@
+const { generateRandomString } = require('./random')
+const { nowMsLua } = require('./semaphore')
+
+const ALGORITHMS = {
+  tokenBucket: 'tokenBucket',
+  fixedWindow: 'fixedWindow',
+  slidingLog: 'slidingLog',
+}
+
+// all scripts: ARGV = limit, windowMs, cost, (unique id)
+// reply { allowed (0 / 1), remaining, retryAfterMs }
+// time is taken from redis so clocks of instances do not matter
+const rateLimitScripts = {
+  // bucket of limit tokens, refilled continuously: limit tokens per windowMs
+  [ALGORITHMS.tokenBucket]: `${nowMsLua}
+    local limit = tonumber(ARGV[1])
+    local windowMs = tonumber(ARGV[2])
+    local cost = tonumber(ARGV[3])
+    local perMs = limit / windowMs
+
+    local state = redis.call("hmget", KEYS[1], "tokens", "at")
+    local tokens = tonumber(state[1]) or limit
+    local at = tonumber(state[2]) or now
+    tokens = math.min(limit, tokens + math.max(0, now - at) * perMs)
+
+    local allowed = 0
+    local retryAfterMs = 0
+    if tokens >= cost then
+        tokens = tokens - cost
+        allowed = 1
+    else
+        retryAfterMs = math.ceil((cost - tokens) / perMs)
+    end
+
+    redis.call("hset", KEYS[1], "tokens", tostring(tokens), "at", now)
+    -- gone once full again, same as never used
+    redis.call("pexpire", KEYS[1], math.ceil((limit - tokens) / perMs) + 1)
+    return { allowed, math.floor(tokens), retryAfterMs }
+  `,
+  // windows aligned on windowMs, counter reset at each window start
+  [ALGORITHMS.fixedWindow]: `${nowMsLua}
+    local limit = tonumber(ARGV[1])
+    local windowMs = tonumber(ARGV[2])
+    local cost = tonumber(ARGV[3])
+    local start = now - (now % windowMs)
+    local resetMs = start + windowMs - now
+
+    local state = redis.call("hmget", KEYS[1], "start", "count")
+    local count = 0
+    if tonumber(state[1]) == start then
+        count = tonumber(state[2])
+    end
+
+    if count + cost > limit then
+        return { 0, limit - count, resetMs }
+    end
+    count = count + cost
+    redis.call("hset", KEYS[1], "start", start, "count", count)
+    redis.call("pexpire", KEYS[1], resetMs)
+    return { 1, limit - count, 0 }
+  `,
+  // one entry per unit of cost in the last windowMs, exact but O(limit) memory
+  [ALGORITHMS.slidingLog]: `${nowMsLua}
+    local limit = tonumber(ARGV[1])
+    local windowMs = tonumber(ARGV[2])
+    local cost = tonumber(ARGV[3])
+
+    redis.call("zremrangebyscore", KEYS[1], "-inf", now - windowMs)
+    local count = redis.call("zcard", KEYS[1])
+
+    if count + cost > limit then
+        -- wait for enough of the oldest entries to leave the window
+        local index = count + cost - limit - 1
+        local entry = redis.call("zrange", KEYS[1], index, index, "WITHSCORES")
+        local retryAfterMs = windowMs
+        if entry[2] then
+            retryAfterMs = tonumber(entry[2]) + windowMs - now
+        end
+        return { 0, limit - count, retryAfterMs }
+    end
+
+    for i = 1, cost do
+        redis.call("zadd", KEYS[1], now, ARGV[4] .. "." .. i)
+    end
+    redis.call("pexpire", KEYS[1], windowMs)
+    return { 1, limit - count - cost, 0 }
+  `,
+}
+
+// same algorithms on a Map, for tests / single process
+// state never expires, do not use with unbounded keys
+const inAppAlgorithms = {
+  [ALGORITHMS.tokenBucket]: ({ states, key, limit, windowMs, cost, now }) => {
+    const perMs = limit / windowMs
+    const state = states.get(key) || { tokens: limit, at: now }
+    let tokens = Math.min(limit, state.tokens + Math.max(0, now - state.at) * perMs)
+
+    let allowed = false
+    let retryAfterMs = 0
+    if (tokens >= cost) {
+      tokens -= cost
+      allowed = true
+    } else {
+      retryAfterMs = Math.ceil((cost - tokens) / perMs)
+    }
+
+    states.set(key, { tokens, at: now })
+    return { allowed, remaining: Math.floor(tokens), retryAfterMs }
+  },
+  [ALGORITHMS.fixedWindow]: ({ states, key, limit, windowMs, cost, now }) => {
+    const start = now - (now % windowMs)
+    const resetMs = start + windowMs - now
+    const state = states.get(key)
+    let count = state?.start === start ? state.count : 0
+
+    if (count + cost > limit) {
+      return { allowed: false, remaining: limit - count, retryAfterMs: resetMs }
+    }
+    count += cost
+    states.set(key, { start, count })
+    return { allowed: true, remaining: limit - count, retryAfterMs: 0 }
+  },
+  [ALGORITHMS.slidingLog]: ({ states, key, limit, windowMs, cost, now }) => {
+    // sorted by time as entries are only appended
+    const log = (states.get(key) || []).filter((at) => at > now - windowMs)
+    states.set(key, log)
+
+    if (log.length + cost > limit) {
+      const at = log[log.length + cost - limit - 1]
+      const retryAfterMs = at == null ? windowMs : at + windowMs - now
+      return { allowed: false, remaining: limit - log.length, retryAfterMs }
+    }
+    for (let i = 0; i < cost; i++) {
+      log.push(now)
+    }
+    return { allowed: true, remaining: limit - log.length, retryAfterMs: 0 }
+  },
+}
+
+// limit: max cost per windowMs per key (for tokenBucket: capacity, refilled over windowMs)
+//
+// masterClient: redis client, same as the rest of the kit
+// inApp: true to keep state in this process only (e.g. in tests), masterClient not used
+//
+// consume({ key, cost = 1 }) => { allowed, remaining, retryAfterMs }
+// retryAfterMs is 0 when allowed, remaining is what is left after this call
+const createRateLimiter = ({
+  name,
+  algorithm = ALGORITHMS.fixedWindow,
+  limit,
+  windowMs,
+  masterClient,
+  inApp = false,
+}) => {
+  if (!ALGORITHMS[algorithm]) {
+    throw new TypeError(`unknown rate limit algorithm ${algorithm}`)
+  }
+  if (!inApp && !masterClient) {
+    throw new TypeError('masterClient is required unless inApp')
+  }
+
+  const limitKey = (key) => `rateLimit.${name}.${key}`
+
+  if (inApp) {
+    const states = new Map()
+    return {
+      consume: async ({ key, cost = 1 }) => inAppAlgorithms[algorithm]({
+        states, key: limitKey(key), limit, windowMs, cost, now: Date.now(),
+      }),
+      reset: async ({ key }) => {
+        states.delete(limitKey(key))
+      },
+    }
+  }
+
+  return {
+    consume: async ({ key, cost = 1 }) => {
+      const [allowed, remaining, retryAfterMs] = await masterClient.eval(rateLimitScripts[algorithm], {
+        keys: [limitKey(key)],
+        arguments: [String(limit), String(windowMs), String(cost), generateRandomString(8) + Date.now()],
+      })
+      return { allowed: allowed === 1, remaining, retryAfterMs }
+    },
+    reset: async ({ key }) => {
+      await masterClient.del(limitKey(key))
+    },
+  }
+}
+
+module.exports = {
+  ALGORITHMS,
+  rateLimitScripts,
+  createRateLimiter,
+}
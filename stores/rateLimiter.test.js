@@ -0,0 +1,112 @@
+const { createRateLimiter, ALGORITHMS, rateLimitScripts } = require('./rateLimiter')
+
+describe('createRateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1_000_000 })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  const consumeTimes = async (limiter, times, opts = { key: 'user1' }) => {
+    const results = []
+    for (let i = 0; i < times; i++) {
+      results.push(await limiter.consume(opts))
+    }
+    return results
+  }
+
+  test('should require masterClient unless inApp', () => {
+    expect(() => createRateLimiter({ name: 'api', limit: 1, windowMs: 1000 })).toThrow(TypeError)
+    expect(() => createRateLimiter({ name: 'api', limit: 1, windowMs: 1000, inApp: true, algorithm: 'leaky' })).toThrow(TypeError)
+  })
+
+  describe('fixedWindow', () => {
+    test('should allow limit per window and reset at window start', async () => {
+      const limiter = createRateLimiter({ name: 'api', algorithm: ALGORITHMS.fixedWindow, limit: 3, windowMs: 1000, inApp: true })
+      jest.setSystemTime(1_000_400)
+
+      const results = await consumeTimes(limiter, 4)
+      expect(results.map(({ allowed }) => allowed)).toStrictEqual([true, true, true, false])
+      expect(results[2]).toStrictEqual({ allowed: true, remaining: 0, retryAfterMs: 0 })
+      expect(results[3]).toStrictEqual({ allowed: false, remaining: 0, retryAfterMs: 600 })
+
+      jest.setSystemTime(1_001_000)
+      expect(await limiter.consume({ key: 'user1' })).toStrictEqual({ allowed: true, remaining: 2, retryAfterMs: 0 })
+    })
+
+    test('should count keys separately', async () => {
+      const limiter = createRateLimiter({ name: 'api', limit: 1, windowMs: 1000, inApp: true })
+
+      expect((await limiter.consume({ key: 'user1' })).allowed).toBe(true)
+      expect((await limiter.consume({ key: 'user2' })).allowed).toBe(true)
+      expect((await limiter.consume({ key: 'user1' })).allowed).toBe(false)
+    })
+  })
+
+  describe('tokenBucket', () => {
+    test('should refill limit tokens per windowMs', async () => {
+      const limiter = createRateLimiter({ name: 'api', algorithm: ALGORITHMS.tokenBucket, limit: 10, windowMs: 1000, inApp: true })
+
+      expect(await limiter.consume({ key: 'user1', cost: 10 })).toStrictEqual({ allowed: true, remaining: 0, retryAfterMs: 0 })
+      expect(await limiter.consume({ key: 'user1', cost: 2 })).toStrictEqual({ allowed: false, remaining: 0, retryAfterMs: 200 })
+
+      jest.advanceTimersByTime(200)
+      expect(await limiter.consume({ key: 'user1', cost: 2 })).toStrictEqual({ allowed: true, remaining: 0, retryAfterMs: 0 })
+
+      jest.advanceTimersByTime(5000)
+      expect(await limiter.consume({ key: 'user1' })).toStrictEqual({ allowed: true, remaining: 9, retryAfterMs: 0 })
+    })
+  })
+
+  describe('slidingLog', () => {
+    test('should limit over any windowMs', async () => {
+      const limiter = createRateLimiter({ name: 'api', algorithm: ALGORITHMS.slidingLog, limit: 2, windowMs: 1000, inApp: true })
+
+      await limiter.consume({ key: 'user1' })
+      jest.advanceTimersByTime(600)
+      await limiter.consume({ key: 'user1' })
+
+      // first one leaves the window in 400ms
+      expect(await limiter.consume({ key: 'user1' })).toStrictEqual({ allowed: false, remaining: 0, retryAfterMs: 400 })
+
+      jest.advanceTimersByTime(401)
+      expect(await limiter.consume({ key: 'user1' })).toStrictEqual({ allowed: true, remaining: 0, retryAfterMs: 0 })
+    })
+
+    test('should never allow cost over limit', async () => {
+      const limiter = createRateLimiter({ name: 'api', algorithm: ALGORITHMS.slidingLog, limit: 2, windowMs: 1000, inApp: true })
+
+      expect(await limiter.consume({ key: 'user1', cost: 3 })).toStrictEqual({ allowed: false, remaining: 2, retryAfterMs: 1000 })
+    })
+  })
+
+  test('reset should clear quota of key', async () => {
+    const limiter = createRateLimiter({ name: 'api', limit: 1, windowMs: 1000, inApp: true })
+    await limiter.consume({ key: 'user1' })
+
+    await limiter.reset({ key: 'user1' })
+
+    expect((await limiter.consume({ key: 'user1' })).allowed).toBe(true)
+  })
+
+  describe('with redis', () => {
+    test('should run script of algorithm and map its reply', async () => {
+      const masterClient = {
+        eval: jest.fn().mockResolvedValue([0, 0, 250]),
+        del: jest.fn().mockResolvedValue(1),
+      }
+      const limiter = createRateLimiter({ name: 'api', algorithm: ALGORITHMS.tokenBucket, limit: 10, windowMs: 1000, masterClient })
+
+      expect(await limiter.consume({ key: 'user1', cost: 3 })).toStrictEqual({ allowed: false, remaining: 0, retryAfterMs: 250 })
+      expect(masterClient.eval).toHaveBeenCalledWith(rateLimitScripts.tokenBucket, {
+        keys: ['rateLimit.api.user1'],
+        arguments: ['10', '1000', '3', expect.any(String)],
+      })
+
+      await limiter.reset({ key: 'user1' })
+      expect(masterClient.del).toHaveBeenCalledWith('rateLimit.api.user1')
+    })
+  })
+})
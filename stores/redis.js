@@ -1,7 +1,22 @@
+const { AsyncLocalStorage } = require('node:async_hooks')
 const redis = require('redis-support-transaction')
-const { RESP_TYPES, createClientPool } = redis
+const { RESP_TYPES, WatchError, createClientPool } = redis
 const { generateRandomString } = require('./random')
 const { tryWithBackoffRetry } = require('./retry')
+const { EVENTS, timeMs } = require('./metrics')
+
+// in cluster mode, keys only go to the same slot when sharing the hash tag
+// key already having a hash tag is kept as is
+// ref: https://redis.io/docs/latest/operate/oss_and_stack/reference/cluster-spec/#hash-tags
+const hashTag = (key) => {
+  const start = key.indexOf('{')
+  if (start >= 0 && key.indexOf('}', start + 1) > start + 1) {
+    return key
+  }
+  return `{${key}}`
+}
+
+const isCluster = (client) => typeof client?.getSlotMaster == 'function'
 
 // lock impl requirements
 // - eventually can aquire
@@ -9,7 +24,7 @@ const { tryWithBackoffRetry } = require('./retry')
 // - only lock owner can unlock
 // ref: https://redis.io/docs/latest/develop/use/patterns/distributed-locks/
 //
-// consider use redlock when run in cluster mode
+// consider use redlock (see redlock.js) when need to survive a primary failure
 // ref: https://github.com/mike-marcacci/node-redlock
 class AquireLockError extends Error {
   constructor(message) {
@@ -17,97 +32,414 @@ class AquireLockError extends Error {
   }
 }
 
+// only owner (who knows the secret) can release / extend
+//
+// aquire also issues a fencing token: monotonically increasing per lock name
+// the counter key expires after ARGV[3] ms without aquire (only ever extended), so it
+// is bounded in memory but must outlive every value written with its tokens,
+// tokens would go back otherwise (see fencingTtlOf)
+//
+// release publishes on channel ARGV[2] when given, so waiters wake up (see createLockNotifier)
+const lockScripts = {
+  aquire: `
+      if redis.call("set", KEYS[1], ARGV[1], "NX", "PX", ARGV[2]) then
+          local token = redis.call("incr", KEYS[2])
+          if redis.call("pttl", KEYS[2]) < tonumber(ARGV[3]) then
+              redis.call("pexpire", KEYS[2], ARGV[3])
+          end
+          return token
+      else
+          return nil
+      end
+    `,
+  release: `
+      if redis.call("get",KEYS[1]) == ARGV[1] then
+          local res = redis.call("del",KEYS[1])
+          if ARGV[2] then
+              redis.call("publish", ARGV[2], KEYS[1])
+          end
+          return res
+      else
+          return 0
+      end
+    `,
+  extend: `
+      if redis.call("get", KEYS[1]) == ARGV[1] then
+          return redis.call("set", KEYS[1], ARGV[1], "PX", ARGV[2])
+      else
+          return 0
+      end
+      `,
+}
+
+// fencing counter ttl, well above lock ttl and the ttl of values fenced by it
+const FENCING_TTL_MS = 24 * 60 * 60 * 1000
+const fencingTtlOf = ({ ttlMs = 0, lockTimeMs = 0 } = {}) => Math.max(FENCING_TTL_MS, 2 * (ttlMs + lockTimeMs))
+
 const simpleLock = {
-  lockName: (name) => `simpleLock.${name}`,
-  aquire: ({ retryTimeoutMs }) => async ({ masterClient, name, ttlMs }) => {
-    const lockName = simpleLock.lockName(name)
+  // same slot as the key it protects when client (optional) is a cluster client, kept as
+  // before otherwise, so instances of older versions still exclude each other on deploy
+  lockName: (name, client) => `simpleLock.${isCluster(client) ? hashTag(name) : name}`,
+  // same slot as the lock
+  fencingName: (lockName) => `${lockName}.fencing`,
+  // published on release
+  channelName: (lockName) => `${lockName}.released`,
+  // single attempt, resolve to null if someone else holds the lock
+  // fencingTtlMs (optional): see fencingTtlOf, pass it when fenced values live longer than a day
+  tryAquire: async ({ masterClient, name, ttlMs, fencingTtlMs = fencingTtlOf({ lockTimeMs: ttlMs }) }) => {
+    const lockName = simpleLock.lockName(name, masterClient)
     // secret used here to ensure ownership
     const secret = generateRandomString(8) + Date.now()
 
+    // lock ttl runs from when the script is sent
+    const startMs = timeMs()
+    const fencingToken = await masterClient.eval(lockScripts.aquire, {
+      keys: [lockName, simpleLock.fencingName(lockName)],
+      arguments: [secret, String(ttlMs), String(fencingTtlMs)],
+    })
+    if (fencingToken == null) {
+      return null
+    }
+
+    return {
+      fencingToken,
+      validityMs: ttlMs - (timeMs() - startMs),
+      release: () => simpleLock.release({ masterClient, name: lockName, secret }),
+      extend: ({ ttlMs: _ttlMs }) => simpleLock.extend({ masterClient, name: lockName, secret, ttlMs: _ttlMs }),
+    }
+  },
+  // signal (optional): AbortSignal, stop waiting once aborted
+  // notifier (optional, see createLockNotifier): wake up on release instead of next poll
+  aquire: ({ retryTimeoutMs, signal, notifier }) => async ({ masterClient, name, ttlMs, fencingTtlMs }) => {
     const trySet = async () => {
-      const result = await masterClient.set(lockName, secret, { PX: ttlMs, NX: true })
-      if (result === null) {
+      const lock = await simpleLock.tryAquire({ masterClient, name, ttlMs, fencingTtlMs })
+      if (lock === null) {
         throw new AquireLockError('aquire failed')
       }
+      return lock
     }
 
-    await tryWithBackoffRetry({
-      funcWoArgs: trySet,
-      maxTimeMs: retryTimeoutMs,
-      allowedErrorType: AquireLockError,
+    // only subscribe once we have to wait
+    let waiter
+    const waitFunc = notifier && ((opts) => {
+      waiter ??= notifier.waiter(simpleLock.channelName(simpleLock.lockName(name, masterClient)))
+      return waiter.wait(opts)
     })
 
-    return {
-      release: () => simpleLock.release({ masterClient, name: lockName, secret }),
-      extend: ({ ttlMs: _ttlMs }) => simpleLock.extend({ masterClient, name: lockName, secret, ttlMs: _ttlMs }),
+    try {
+      return await tryWithBackoffRetry({
+        funcWoArgs: trySet,
+        maxTimeMs: retryTimeoutMs,
+        allowedErrorType: AquireLockError,
+        signal,
+        waitFunc,
+      })
+    } finally {
+      waiter?.close()
     }
   },
   release: async ({ masterClient, name, secret }) => {
-    const script = `
-      if redis.call("get",KEYS[1]) == ARGV[1] then
-          return redis.call("del",KEYS[1])
-      else
-          return 0
-      end
-    `
-    const res = await masterClient.eval(script, { keys: [name], arguments: [secret] })
+    const res = await masterClient.eval(lockScripts.release, {
+      keys: [name],
+      arguments: [secret, simpleLock.channelName(name)],
+    })
     if (res === 0) {
       throw new Error('release failed')
     }
   },
   extend: async ({ masterClient, name, secret, ttlMs }) => {
-    const script = `
-      if redis.call("get", KEYS[1]) == ARGV[1] then
-          return redis.call("set", KEYS[1], ARGV[1], "PX", ARGV[2])
-      else
-          return 0
-      end
-      `
-    const res = await masterClient.eval(script, { keys: [name], arguments: [secret, String(ttlMs)] })
+    const res = await masterClient.eval(lockScripts.extend, { keys: [name], arguments: [secret, String(ttlMs)] })
     if (res === 0) {
       throw new Error('extend failed')
     }
   },
 }
 
+class LeaseLostError extends Error {}
+
+const LEASE_LOST = {
+  abort: 'abort',
+  continue: 'continue',
+}
+
+// lock name => { fencingToken, signal } held by the current async context
+const heldLocks = new AsyncLocalStorage()
+
+// lockStrategy: ({ retryTimeoutMs, signal }) => ({ masterClient, name, ttlMs, fencingTtlMs }) => { release, extend, fencingToken, validityMs }
+// default to simpleLock.aquire, see also createRedlock().aquire
+// validityMs: how long the lock is still held once aquired (extend may resolve to it too),
+// a strategy without it is taken as holding it for lockTimeMs from when it resolved
+//
+// fencingTtlMs (optional): ttl of the fencing counter, see fencingTtlOf
+//
+// funcWoArgs is called with { fencingToken, signal } where fencingToken is of the lock
+// (undefined if strategy has none) and signal aborts (reason LeaseLostError) once
+// an extend fails or the lease expires before being extended, and once the lock is released
+//
+// signal (optional): AbortSignal, stop waiting for the lock once aborted
+//
+// reentrant: if the current async context (e.g. funcWoArgs of an outer call) already
+// holds the lock of key, run funcWoArgs right away under that lock instead of
+// waiting on itself until aquireLockTimeoutMs
+// the context is inherited by work started in funcWoArgs (e.g. a background refresh),
+// so once released (or lease lost) the holding is not reused, the lock is aquired again
+//
+// onLeaseLost:
+// - continue: keep waiting for funcWoArgs, up to it to check signal
+// - abort: reject with LeaseLostError right away (funcWoArgs keeps running in background)
+//
+// onLockError: ({ key, op: 'extend' | 'release', error }) => void
 const wrapWithPessimisticSimpleLock = async ({
   masterClient,
   funcWoArgs,
   key,
   lockTimeMs=5000,
   aquireLockTimeoutMs=30000,
+  lockStrategy = simpleLock.aquire,
+  onLeaseLost = LEASE_LOST.continue,
+  onLockError = () => {},
+  signal,
+  reentrant = false,
+  fencingTtlMs,
+  emit = () => {},
 }) => {
-  const { extend, release } = await simpleLock.aquire({
-    retryTimeoutMs: aquireLockTimeoutMs,
-  })({
-    masterClient,
-    name: simpleLock.lockName(key),
-    ttlMs: lockTimeMs,
-  })
-  const extender = setInterval(
-    () => extend({ ttlMs: lockTimeMs }),
-    Math.round(lockTimeMs / 2),
-  )
+  const name = simpleLock.lockName(key, masterClient)
+  const held = heldLocks.getStore()?.get(name)
+  // signal is aborted once released, see finally below
+  if (reentrant && held && !held.signal.aborted) {
+    return funcWoArgs(held)
+  }
 
+  const startMs = timeMs()
+  let lock
   try {
-    return await funcWoArgs()
+    lock = await lockStrategy({
+      retryTimeoutMs: aquireLockTimeoutMs,
+      signal,
+    })({
+      masterClient,
+      name,
+      ttlMs: lockTimeMs,
+      fencingTtlMs,
+    })
+  } catch (error) {
+    emit(EVENTS.lockFail, { key, waitMs: timeMs() - startMs, error })
+    throw error
+  }
+  emit(EVENTS.lockWait, { key, waitMs: timeMs() - startMs })
+
+  const { extend, release, fencingToken, validityMs = lockTimeMs } = lock
+  const controller = new AbortController()
+  const leaseSignal = controller.signal
+
+  const reportLockError = (op, error) => {
+    try {
+      onLockError({ key, op, error })
+    } catch {
+      // handler must not break the lock flow
+    }
+  }
+
+  const loseLease = (message, cause) => {
+    clearTimeout(extender)
+    clearTimeout(leaseTimer)
+    controller.abort(new LeaseLostError(message, { cause }))
+  }
+
+  // lease is what is left once aquired, counted by the strategy from when the aquire was sent
+  let leaseTimer = setTimeout(() => loseLease('lease expired'), validityMs)
+  let extender
+
+  const scheduleExtend = () => {
+    extender = setTimeout(async () => {
+      // counted from when the extend was sent, unless it tells what is left (e.g. redlock)
+      const startMs = timeMs()
+      let extendedMs
+      try {
+        extendedMs = await extend({ ttlMs: lockTimeMs })
+      } catch (error) {
+        reportLockError('extend', error)
+        if (!leaseSignal.aborted) {
+          loseLease('extend failed', error)
+        }
+        return
+      }
+      if (leaseSignal.aborted) {
+        return
+      }
+      clearTimeout(leaseTimer)
+      const leftMs = typeof extendedMs == 'number' ? extendedMs : lockTimeMs - (timeMs() - startMs)
+      leaseTimer = setTimeout(() => loseLease('lease expired'), leftMs)
+      scheduleExtend()
+    }, Math.round(lockTimeMs / 2))
+  }
+  scheduleExtend()
+
+  try {
+    const holding = { fencingToken, signal: leaseSignal }
+    const running = Promise.resolve(heldLocks.run(
+      new Map(heldLocks.getStore()).set(name, holding),
+      () => funcWoArgs(holding),
+    ))
+    if (onLeaseLost !== LEASE_LOST.abort) {
+      return await running
+    }
+
+    let onAbort
+    const aborted = new Promise((_, reject) => {
+      onAbort = () => reject(leaseSignal.reason)
+      leaseSignal.addEventListener('abort', onAbort, { once: true })
+    })
+    try {
+      return await Promise.race([running, aborted])
+    } finally {
+      leaseSignal.removeEventListener('abort', onAbort)
+      // do not let the abandoned function become an unhandled rejection
+      running.catch(() => {})
+    }
   } finally {
-    clearInterval(extender)
-    release()
+    clearTimeout(extender)
+    clearTimeout(leaseTimer)
+    if (!leaseSignal.aborted) {
+      controller.abort(new LeaseLostError('lock released'))
+    }
+    try {
+      await release()
+    } catch (error) {
+      reportLockError('release', error)
+    }
   }
 }
 
+// negative caching: EMPTY is stored as a sentinel (bypassing marshallFunc)
+// so "not found" results can be cached and told apart from a cache miss
+const EMPTY = Symbol('ahaKit.empty')
+const emptySentinel = Buffer.from('ahaKit.empty')
+const isEmptySentinel = (biData) => Buffer.isBuffer(biData) && biData.equals(emptySentinel)
+
+// value stored with refresh metadata (see swrEnvelope / xfetchEnvelope), like EMPTY it is
+// told apart by a prefix outside of marshallFunc, so no loader result can be mistaken for it:
+//   metaPrefix | meta length (uint32 BE) | meta (json) | marshallFunc(value)
+// get always decodes it, readers unwrap it whatever their own options (see unwrapCached)
+class Enveloped {
+  constructor({ value, ...meta }) {
+    Object.assign(this, meta)
+    this.value = value
+  }
+}
+const metaPrefix = Buffer.from('ahaKit.meta:')
+const isEnvelopedData = (biData) => {
+  return Buffer.isBuffer(biData) &&
+    biData.length > metaPrefix.length + 4 &&
+    biData.subarray(0, metaPrefix.length).equals(metaPrefix)
+}
+const unwrapCached = (cached) => cached instanceof Enveloped ? cached.value : cached
+
+const encodeEnveloped = async (marshallFunc, { value, ...meta }) => {
+  const metaData = Buffer.from(JSON.stringify(meta))
+  const metaLength = Buffer.alloc(4)
+  metaLength.writeUInt32BE(metaData.length)
+  return Buffer.concat([metaPrefix, metaLength, metaData, await marshallFunc(value)])
+}
+
+const decodeEnveloped = async (unmarshallFunc, biData) => {
+  const metaStart = metaPrefix.length + 4
+  const metaEnd = metaStart + biData.readUInt32BE(metaPrefix.length)
+  const meta = JSON.parse(biData.subarray(metaStart, metaEnd).toString())
+  return new Enveloped({ ...meta, value: await unmarshallFunc(biData.subarray(metaEnd)) })
+}
+
+// resolve to EMPTY, an Enveloped or the value
 const get = (unmarshallFunc) => async ({ client, key }) => {
   const proxyClient = client.withTypeMapping({
     [RESP_TYPES.BLOB_STRING]: Buffer
   })
   const biData = await proxyClient.get(key)
+  if (isEmptySentinel(biData)) {
+    return EMPTY
+  }
+  if (isEnvelopedData(biData)) {
+    return decodeEnveloped(unmarshallFunc, biData)
+  }
   return unmarshallFunc(biData)
 }
 
-const set = (marshallFunc) => async ({ client, key, value, ttlMs }) => {
-  const dataToSet = await marshallFunc(value)
-  return client.set(key, dataToSet, { PX: ttlMs })
+// write only if fencingToken is not older than the one of last write, lives as long as the value
+const fencedSetScript = `
+  local last = redis.call("get", KEYS[2])
+  if last and tonumber(last) > tonumber(ARGV[3]) then
+      return nil
+  end
+  redis.call("set", KEYS[2], ARGV[3], "PX", ARGV[2])
+  return redis.call("set", KEYS[1], ARGV[1], "PX", ARGV[2])
+`
+
+// same slot as the key
+const fencingKey = (key) => `${hashTag(key)}.fencing`
+
+// fencingToken (optional): from the lock held while computing value,
+// resolve to null (nothing written) when a newer token already wrote
+const set = (marshallFunc) => async ({ client, key, value, ttlMs, fencingToken }) => {
+  let dataToSet
+  if (value === EMPTY) {
+    dataToSet = emptySentinel
+  } else if (value instanceof Enveloped) {
+    dataToSet = await encodeEnveloped(marshallFunc, value)
+  } else {
+    dataToSet = await marshallFunc(value)
+  }
+  if (fencingToken == null) {
+    return client.set(key, dataToSet, { PX: ttlMs })
+  }
+  return client.eval(fencedSetScript, {
+    keys: [key, fencingKey(key)],
+    arguments: [dataToSet, String(ttlMs), String(fencingToken)],
+  })
+}
+
+const mGet = (unmarshallFunc) => async ({ client, keys }) => {
+  if (keys.length <= 0) {
+    return []
+  }
+  const proxyClient = client.withTypeMapping({
+    [RESP_TYPES.BLOB_STRING]: Buffer
+  })
+  // MGET must not cross slots, concurrent GETs are pipelined per node by the client anyway
+  const biDatas = isCluster(client)
+    ? await Promise.all(keys.map((key) => proxyClient.get(key)))
+    : await proxyClient.mGet(keys)
+  // no refresh here, metadata is dropped
+  return Promise.all(biDatas.map(async (biData) => {
+    if (isEmptySentinel(biData)) {
+      return EMPTY
+    }
+    if (isEnvelopedData(biData)) {
+      return unwrapCached(await decodeEnveloped(unmarshallFunc, biData))
+    }
+    return unmarshallFunc(biData)
+  }))
+}
+
+// entries: [{ key, value, ttlMs }], sent in one pipeline (not atomic)
+const mSet = (marshallFunc) => async ({ client, entries }) => {
+  if (entries.length <= 0) {
+    return []
+  }
+  const dataToSets = await Promise.all(entries.map(({ value }) => {
+    return value === EMPTY ? emptySentinel : marshallFunc(value)
+  }))
+
+  if (isCluster(client)) {
+    return Promise.all(entries.map(({ key, ttlMs }, idx) => {
+      return client.set(key, dataToSets[idx], { PX: ttlMs })
+    }))
+  }
+
+  const pipeline = client.multi()
+  entries.forEach(({ key, ttlMs }, idx) => {
+    pipeline.set(key, dataToSets[idx], { PX: ttlMs })
+  })
+  return pipeline.execAsPipeline()
 }
 
 const del = async ({ client, key }) => {
@@ -133,7 +465,8 @@ const hSet = (marshallFunc) => async ({ client, key, fieldsValues }) => {
 }
 
 const hDel = async ({ client, key, fields }) => {
-  await client.hDel(key, ...fields)
+  // HDEL takes fields as one (variadic) argument
+  await client.hDel(key, fields)
 }
 
 const hGet = (unmarshallFunc) => async ({ client, key, field }) => {
@@ -144,6 +477,18 @@ const hGet = (unmarshallFunc) => async ({ client, key, field }) => {
   return unmarshallFunc(biData)
 }
 
+// resolve to values in same order as fields, null for missing fields
+const hmGet = (unmarshallFunc) => async ({ client, key, fields }) => {
+  if (fields.length <= 0) {
+    return []
+  }
+  const proxyClient = client.withTypeMapping({
+    [RESP_TYPES.BLOB_STRING]: Buffer
+  })
+  const biDatas = await proxyClient.hmGet(key, fields)
+  return Promise.all(biDatas.map(unmarshallFunc))
+}
+
 const hGetAll = (unmarshallFunc) => async ({ client, key }) => {
   const proxyClient = client.withTypeMapping({
     [RESP_TYPES.BLOB_STRING]: Buffer
@@ -159,70 +504,104 @@ const hGetAll = (unmarshallFunc) => async ({ client, key }) => {
   }, {})
 }
 
-// FIXME: Optimistic lock implementation needs to be properly implemented for Redis v5
-// The current implementation has race condition issues in test environments
-// TODO: Implement proper optimistic locking with Redis v5 compatible WATCH/MULTI/EXEC pattern
-// need wrapped by transaction to ensure atomic
+// check-and-set without lock, good for keys with low contention
 // ref: https://redis.io/docs/latest/develop/interact/transactions/#optimistic-locking-using-check-and-set
+//
+// masterPool: client pool of master (see createPool), each attempt runs on a connection of its own
+// for the whole WATCH ... EXEC, so WATCH of concurrent callers never share a connection
+//
+// on conflict (key written by someone else after WATCH), retry with backoff up to retryTimeoutMs:
+// next attempt usually finds the value written by the winner
 // note: if everyone race to changes FOREVER, we can not ensure EVENTUALLY the key will be set here
-// in that case, use wrapWithPessimisticSimpleLock
-const getOrSetWithOptimisticLock = ({ marshallFunc, unmarshallFunc }) => async ({ client, funcWoArgs, key, ttlMs }) => {
-  // Implementation for Redis v5 optimistic locking
-  // Uses a single-attempt pattern that throws on conflict (for test compatibility)
+// in that case, use getOrSetWithWithPessimisticLock
+const getOrSetWithOptimisticLock = ({
+  marshallFunc,
+  unmarshallFunc,
+  emit = () => {},
+}) => async ({
+  masterPool,
+  funcWoArgs,
+  key,
+  ttlMs,
+  negativeTtlMs = ttlMs,
+  retryTimeoutMs = 1000,
+  signal,
+}) => {
+  const checkAndSet = async (client) => {
+    await client.watch(key)
 
-  await client.watch(key)
+    let executed = false
+    try {
+      let value = await get(unmarshallFunc)({ client, key })
+      if (value != null) {
+        emit(EVENTS.masterHit, { key })
+        return value
+      }
 
-  try {
-    let value = await get(unmarshallFunc)({ client, key })
-    if (value != null) {
-      await client.unwatch()
+      value = await funcWoArgs()
+      const multi = client.multi()
+      await set(marshallFunc)({
+        client: multi,
+        key,
+        value,
+        ttlMs: value === EMPTY ? negativeTtlMs : ttlMs,
+      })
+      executed = true
+      // EXEC also clears WATCH, reject with WatchError on conflict
+      await multi.exec()
       return value
+    } finally {
+      if (!executed) {
+        // connection goes back to the pool, do not leave it watching
+        await client.unwatch()
+      }
     }
+  }
 
-    // Execute the function to get the value (this can take time and create race conditions)
-    value = await funcWoArgs()
-
-    // Create a dedicated connection for the transaction to avoid watch conflicts
-    const multi = client.multi()
-    await set(marshallFunc)({ client: multi, key, value, ttlMs })
-
-    const result = await multi.exec()
-
-    // In Redis v5, exec() returns null if WATCH condition was violated
-    if (result === null) {
-      throw new Error("One (or more) of the watched keys has been changed")
-    }
+  return tryWithBackoffRetry({
+    funcWoArgs: () => masterPool.execute(checkAndSet),
+    maxTimeMs: retryTimeoutMs,
+    allowedErrorType: WatchError,
+    signal,
+  })
+}
 
-    return value
-  } catch (error) {
-    // Ensure we unwatch on any error
-    try {
-      await client.unwatch()
-    } catch (unwatchError) {
-      // Ignore unwatch errors
-    }
-    throw error
-  }
+const LOCK_MODE = {
+  pessimistic: 'pessimistic',
+  optimistic: 'optimistic',
 }
 
 const getOrSetWithWithPessimisticLock = ({
   marshallFunc,
   unmarshallFunc,
+  emit = () => {},
 }) => async ({
   masterClient,
   funcWoArgs,
   key,
   ttlMs,
+  negativeTtlMs = ttlMs,
   lockWrapper,
 }) => {
-  const getOrSet = async () => {
+  const getOrSet = async ({ fencingToken, signal } = {}) => {
     let value = await get(unmarshallFunc)({ client: masterClient, key })
     if (value != null) {
+      emit(EVENTS.masterHit, { key })
       return value
     }
 
     value = await funcWoArgs()
-    await set(marshallFunc)({ client: masterClient, key, value, ttlMs })
+    // lock lost meanwhile, someone else may be writing already
+    if (signal?.aborted) {
+      return value
+    }
+    await set(marshallFunc)({
+      client: masterClient,
+      key,
+      value,
+      ttlMs: value === EMPTY ? negativeTtlMs : ttlMs,
+      fencingToken,
+    })
     return value
   }
 
@@ -233,57 +612,441 @@ const getOrSetWithWithPessimisticLock = ({
   })
 }
 
+// stale-while-revalidate: value is stored together with the time it turns stale
+// the key itself still lives for the full (hard) ttlMs
+const swrEnvelope = {
+  wrap: ({ value, softTtlMs }) => new Enveloped({ kind: 'swr', value, staleAt: Date.now() + softTtlMs }),
+  // tolerate values written without envelope (e.g. by redisCacheWrite), treat them as fresh
+  isEnvelope: (cached) => cached instanceof Enveloped && cached.kind === 'swr',
+  unwrap: unwrapCached,
+  isStale: (cached) => swrEnvelope.isEnvelope(cached) && cached.staleAt <= Date.now(),
+}
+
+// probabilistic early expiration (XFetch): value is stored together with how long it took
+// to compute (deltaMs) and when it expires, a reader refreshes early with a probability
+// rising as expiry approaches, the longer to compute the earlier
+// ref: https://cseweb.ucsd.edu/~avattani/papers/cache_stampede.pdf
+//
+// beta > 1 favors earlier refresh, < 1 later
+const xfetchEnvelope = {
+  wrap: ({ value, deltaMs, ttlMs }) => new Enveloped({ kind: 'xfetch', value, deltaMs, expiresAt: Date.now() + ttlMs }),
+  // tolerate values written without envelope (e.g. by redisCacheWrite), never refreshed early
+  isEnvelope: (cached) => cached instanceof Enveloped && cached.kind === 'xfetch',
+  unwrap: unwrapCached,
+  shouldRefresh: (cached, beta = 1, random = Math.random) => {
+    return xfetchEnvelope.isEnvelope(cached)
+      && Date.now() - cached.deltaMs * beta * Math.log(random()) >= cached.expiresAt
+  },
+}
+
 // read from replica first, if not found
 // do getOrSetFromMaster
+//
+// when softTtlMs is given, a stale value is returned right away
+// and ONE background refresh is triggered (guarded by simpleLock across instances)
+//
+// when negativeTtlMs is given, null / undefined results of funcWoArgs are cached
+// (as EMPTY) for negativeTtlMs and returned as null
+//
+// when earlyRefresh ({ beta }, see xfetchEnvelope) is given, a reader may trigger the same
+// background refresh before the key expires, so it does not expire under load
+// (can not be used together with softTtlMs)
+//
+// lockStrategy / onLeaseLost (optional): see wrapWithPessimisticSimpleLock, the value is not
+// written once the lease is lost, with LEASE_LOST.abort the read rejects with LeaseLostError
+// right away instead of waiting for funcWoArgs
+//
+// onRevalidateError (optional): ({ key, error }) => void, called when a background refresh
+// fails (not when another instance holds its lock), EVENTS.revalidateFail is emitted too
+//
+// lockMode: LOCK_MODE.pessimistic (default) or LOCK_MODE.optimistic for keys with low
+// contention, see getOrSetWithOptimisticLock (aquireLockTimeoutMs is then the retry budget)
+//
+// emit (optional): (event, payload) => void, see metrics.EVENTS
 const cacheAsideFunc = ({
   marshallFunc,
   unmarshallFunc,
+  emit = () => {},
+}) => {
+  // keys being refreshed in background by this process
+  const revalidatings = new Set()
+
+  return ({
+    funcWoArgs,
+    key,
+    ttlMs,
+    softTtlMs,
+    negativeTtlMs,
+    earlyRefresh,
+    lockTimeMs=5000,
+    aquireLockTimeoutMs=30000,
+    lockStrategy,
+    onLockError,
+    onLeaseLost,
+    reentrant=false,
+    lockMode=LOCK_MODE.pessimistic,
+    onRevalidateError=() => {},
+  }) => {
+    const useSwr = softTtlMs != null
+    const useNegative = negativeTtlMs != null
+    const useEarly = earlyRefresh != null
+    if (useSwr && useEarly) {
+      throw new TypeError('softTtlMs and earlyRefresh can not be used together')
+    }
+
+    const timedFuncWoArgs = async () => {
+      const startMs = timeMs()
+      try {
+        const value = await funcWoArgs()
+        emit(EVENTS.loader, { key, durationMs: timeMs() - startMs })
+        return value
+      } catch (error) {
+        emit(EVENTS.loader, { key, durationMs: timeMs() - startMs, error })
+        throw error
+      }
+    }
+
+    const loadFunc = async () => {
+      const startMs = timeMs()
+      const value = await timedFuncWoArgs()
+      if (value == null && useNegative) {
+        return EMPTY
+      }
+      if (useSwr) {
+        return swrEnvelope.wrap({ value, softTtlMs })
+      }
+      if (useEarly) {
+        return xfetchEnvelope.wrap({ value, deltaMs: timeMs() - startMs, ttlMs })
+      }
+      return value
+    }
+
+    // written by a reader with other options (or by an older instance) is read the same
+    const fromCached = (cached) => {
+      if (cached === EMPTY) {
+        return null
+      }
+      return unwrapCached(cached)
+    }
+
+    // refreshed by someone else since seen
+    const isRefreshed = ({ current, seen }) => {
+      if (current == null) {
+        return false
+      }
+      if (useSwr) {
+        return !swrEnvelope.isStale(current)
+      }
+      return xfetchEnvelope.isEnvelope(current) && current.expiresAt > seen.expiresAt
+    }
+
+    const revalidate = ({ masterClient, seen }) => {
+      if (revalidatings.has(key)) {
+        return
+      }
+      revalidatings.add(key)
+
+      const refresh = async ({ fencingToken, signal } = {}) => {
+        // someone else may have refreshed while we were waiting for the lock
+        const current = await get(unmarshallFunc)({ client: masterClient, key })
+        if (isRefreshed({ current, seen })) {
+          return
+        }
+        const value = await loadFunc()
+        if (signal?.aborted) {
+          return
+        }
+        await set(marshallFunc)({
+          client: masterClient,
+          key,
+          value,
+          ttlMs: value === EMPTY ? negativeTtlMs : ttlMs,
+          fencingToken,
+        })
+      }
+
+      // do not wait for lock: if another instance holds it, it is refreshing already
+      wrapWithPessimisticSimpleLock({
+        masterClient,
+        funcWoArgs: refresh,
+        key,
+        lockTimeMs,
+        aquireLockTimeoutMs: 0,
+        lockStrategy,
+        onLockError,
+        onLeaseLost,
+        reentrant,
+      }).catch((error) => {
+        // another instance is refreshing it
+        if (error instanceof AquireLockError) {
+          return
+        }
+        emit(EVENTS.revalidateFail, { key, error })
+        try {
+          onRevalidateError({ key, error })
+        } catch {
+          // handler must not break the refresh flow
+        }
+      }).finally(() => revalidatings.delete(key))
+    }
+
+    // signal (optional): AbortSignal, stop waiting for the lock once aborted
+    // masterPool: required by LOCK_MODE.optimistic, see getOrSetWithOptimisticLock
+    return async ({ replicaClient, masterClient, masterPool, signal }) => {
+      const cached = await get(unmarshallFunc)({
+        client: replicaClient,
+        key,
+      })
+      if (cached != null) {
+        emit(EVENTS.replicaHit, { key })
+        if (useSwr && swrEnvelope.isStale(cached)) {
+          revalidate({ masterClient, seen: cached })
+        }
+        if (useEarly && xfetchEnvelope.shouldRefresh(cached, earlyRefresh.beta)) {
+          revalidate({ masterClient, seen: cached })
+        }
+        return fromCached(cached)
+      }
+
+      if (lockMode === LOCK_MODE.optimistic) {
+        const value = await getOrSetWithOptimisticLock({
+          marshallFunc,
+          unmarshallFunc,
+          emit,
+        })({
+          masterPool,
+          funcWoArgs: loadFunc,
+          key,
+          ttlMs,
+          negativeTtlMs,
+          retryTimeoutMs: aquireLockTimeoutMs,
+          signal,
+        })
+        return fromCached(value)
+      }
+
+      const lockWrapper = ({ funcWoArgs, masterClient, key }) => {
+        return wrapWithPessimisticSimpleLock({
+          masterClient,
+          funcWoArgs,
+          key,
+          lockTimeMs,
+          aquireLockTimeoutMs,
+          lockStrategy,
+          onLockError,
+          onLeaseLost,
+          signal,
+          reentrant,
+          // values written under this lock live for ttlMs
+          fencingTtlMs: fencingTtlOf({ ttlMs, lockTimeMs }),
+          emit,
+        })
+      }
+
+      const value = await getOrSetWithWithPessimisticLock({
+        marshallFunc,
+        unmarshallFunc,
+        emit,
+      })({
+        masterClient,
+        funcWoArgs: loadFunc,
+        key,
+        ttlMs,
+        negativeTtlMs,
+        lockWrapper,
+      })
+      return fromCached(value)
+    }
+  }
+}
+
+// multi-key version of cacheAsideFunc, no lock here (one lock per key is what we avoid):
+// one MGET on replica, one batchLoader call for keys not found, one pipeline to write back
+//
+// batchLoader: (keys) => { [key]: value } or Map, keys not returned are treated as null
+// resolve to a Map of key => value, null when not found
+const cacheAsideManyFunc = ({
+  marshallFunc,
+  unmarshallFunc,
+  emit = () => {},
 }) => ({
-  funcWoArgs,
+  batchLoader,
+  keys,
+  ttlMs,
+  negativeTtlMs,
+}) => {
+  const useNegative = negativeTtlMs != null
+
+  const timedBatchLoader = async (keysToLoad) => {
+    const startMs = timeMs()
+    try {
+      const loaded = await batchLoader(keysToLoad)
+      emit(EVENTS.loader, { keys: keysToLoad, durationMs: timeMs() - startMs })
+      return loaded
+    } catch (error) {
+      emit(EVENTS.loader, { keys: keysToLoad, durationMs: timeMs() - startMs, error })
+      throw error
+    }
+  }
+
+  return async ({ replicaClient, masterClient }) => {
+    const result = new Map()
+
+    const cacheds = await mGet(unmarshallFunc)({ client: replicaClient, keys })
+    const keysToLoad = keys.filter((key, idx) => {
+      const cached = cacheds[idx]
+      if (cached == null) {
+        return true
+      }
+      emit(EVENTS.replicaHit, { key })
+      result.set(key, cached === EMPTY ? null : cached)
+      return false
+    })
+    if (keysToLoad.length <= 0) {
+      return result
+    }
+
+    const loaded = await timedBatchLoader(keysToLoad)
+    const entries = []
+    keysToLoad.forEach((key) => {
+      const value = (loaded instanceof Map ? loaded.get(key) : loaded?.[key]) ?? null
+      result.set(key, value)
+
+      if (value != null) {
+        entries.push({ key, value, ttlMs })
+      } else if (useNegative) {
+        entries.push({ key, value: EMPTY, ttlMs: negativeTtlMs })
+      }
+    })
+    await mSet(marshallFunc)({ client: masterClient, entries })
+
+    return result
+  }
+}
+
+// field-level cache aside on one redis hash:
+// read fields from replica, only missing ones go to fieldsLoader
+// under the same lock as cacheAsideFunc (one lock per hash)
+//
+// fieldsLoader: (fields) => { [field]: value }, fields not returned (or null) are not cached
+// ttlMs: hash-wide, counted from the first fill (not extended by later fills)
+// resolve to { [field]: value }, null when not found
+const hashCacheAsideFunc = ({
+  marshallFunc,
+  unmarshallFunc,
+  emit = () => {},
+}) => ({
+  fieldsLoader,
   key,
+  fields,
   ttlMs,
   lockTimeMs=5000,
   aquireLockTimeoutMs=30000,
 }) => {
-  return async ({ replicaClient, masterClient }) => {
-    const value = await get(unmarshallFunc)({
-      client: replicaClient,
-      key,
+  const readInto = async ({ client, result, fieldsToRead }) => {
+    const values = await hmGet(unmarshallFunc)({ client, key, fields: fieldsToRead })
+    return fieldsToRead.filter((field, idx) => {
+      if (values[idx] == null) {
+        return true
+      }
+      result[field] = values[idx]
+      return false
     })
-    if (value != null) {
-      return value
+  }
+
+  const loadAndSet = async ({ masterClient, result, fieldsToLoad }) => {
+    const startMs = timeMs()
+    let loaded
+    try {
+      loaded = await fieldsLoader(fieldsToLoad)
+      emit(EVENTS.loader, { key, durationMs: timeMs() - startMs })
+    } catch (error) {
+      emit(EVENTS.loader, { key, durationMs: timeMs() - startMs, error })
+      throw error
     }
 
-    const lockWrapper = ({ funcWoArgs, masterClient, key }) => {
-      return wrapWithPessimisticSimpleLock({
-        masterClient,
-        funcWoArgs,
-        key,
-        lockTimeMs,
-        aquireLockTimeoutMs,
-      })
+    const fieldsValues = {}
+    fieldsToLoad.forEach((field) => {
+      const value = loaded?.[field] ?? null
+      result[field] = value
+      if (value != null) {
+        fieldsValues[field] = value
+      }
+    })
+    if (Object.keys(fieldsValues).length <= 0) {
+      return
     }
 
-    return getOrSetWithWithPessimisticLock({
-      marshallFunc,
-      unmarshallFunc,
-    })({
+    const multi = masterClient.multi()
+    await hSet(marshallFunc)({ client: multi, key, fieldsValues })
+    multi.pExpire(key, ttlMs, 'NX')
+    await multi.exec()
+  }
+
+  return async ({ replicaClient, masterClient }) => {
+    const result = {}
+    fields.forEach((field) => {
+      result[field] = null
+    })
+
+    const missings = await readInto({ client: replicaClient, result, fieldsToRead: fields })
+    if (missings.length <= 0) {
+      emit(EVENTS.replicaHit, { key })
+      return result
+    }
+
+    await wrapWithPessimisticSimpleLock({
       masterClient,
-      funcWoArgs,
       key,
-      ttlMs,
-      lockWrapper,
+      lockTimeMs,
+      aquireLockTimeoutMs,
+      emit,
+      funcWoArgs: async () => {
+        const fieldsToLoad = await readInto({ client: masterClient, result, fieldsToRead: missings })
+        if (fieldsToLoad.length <= 0) {
+          emit(EVENTS.masterHit, { key })
+          return
+        }
+        await loadAndSet({ masterClient, result, fieldsToLoad })
+      },
     })
+
+    return result
   }
 }
 
-// TODO: get client per key, when run in cluster mode
+// cluster mode when rootNodes ([{ host, port }]) is given, commands are routed per slot
+// use 2 cluster clients:
+// - replicaClient: useReplicas true, reads go to replicas of the key's slot
+// - masterClient: useReplicas false, so reads after lock see latest writes
+//
+// commandTimeoutMs (optional): reject a command not answered in time, commands are queued
+// while disconnected (offline queue) and would hang otherwise, e.g. a circuit breaker
+// never sees redis failing
 const createClient = ({
   host = 'localhost',
   port = 6379,
   tls = false,
   clientSideCache,
+  rootNodes,
+  useReplicas = false,
+  commandTimeoutMs,
 }) => {
+  const commandOptions = commandTimeoutMs ? { timeout: commandTimeoutMs } : undefined
+
+  if (rootNodes) {
+    return redis.createCluster({
+      rootNodes: rootNodes.map(({ host, port }) => ({ socket: { host, port, tls } })),
+      defaults: {
+        socket: { tls },
+      },
+      useReplicas,
+      RESP: clientSideCache ? 3 : 2,
+      clientSideCache,
+      commandOptions,
+    })
+  }
+
   return redis.createClient({
     socket: {
       host,
@@ -292,23 +1055,63 @@ const createClient = ({
     },
     RESP: clientSideCache ? 3 : 2, // must be RESP v3 for client-side cache
     clientSideCache,
+    commandOptions,
+  })
+}
+
+// pool of master connections, for commands that hold connection state (WATCH)
+// standalone only, cluster clients do not support it
+const createPool = ({
+  host = 'localhost',
+  port = 6379,
+  tls = false,
+  minimum = 1,
+  maximum = 10,
+  commandTimeoutMs,
+}) => {
+  return createClientPool({
+    socket: {
+      host,
+      port,
+      tls
+    },
+    commandOptions: commandTimeoutMs ? { timeout: commandTimeoutMs } : undefined,
+  }, {
+    minimum,
+    maximum,
   })
 }
 
 module.exports = {
   createClient,
+  createPool,
+  hashTag,
   //
+  EMPTY,
   get,
   set,
+  mGet,
+  mSet,
   del,
   getOrSetWithWithPessimisticLock,
-  // getOrSetWithOptimisticLock, // FIXME: Temporarily removed due to Redis v5 compatibility issues
+  getOrSetWithOptimisticLock,
+  WatchError,
+  LOCK_MODE,
   hSet,
   hDel,
   hGet,
+  hmGet,
   hGetAll,
   //
+  AquireLockError,
+  LeaseLostError,
+  LEASE_LOST,
+  lockScripts,
   simpleLock,
   wrapWithPessimisticSimpleLock,
+  swrEnvelope,
+  xfetchEnvelope,
   cacheAsideFunc,
+  cacheAsideManyFunc,
+  hashCacheAsideFunc,
 }
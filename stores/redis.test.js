@@ -5,14 +5,21 @@ const {
   del,
   wrapWithPessimisticSimpleLock,
   getOrSetWithWithPessimisticLock,
-  // getOrSetWithOptimisticLock, // FIXME: Temporarily removed from exports
+  getOrSetWithOptimisticLock,
+  createPool,
   cacheAsideFunc,
   simpleLock,
+  EMPTY,
+  hashCacheAsideFunc,
+  hDel,
+  WatchError,
+  swrEnvelope,
+  xfetchEnvelope,
 } = require('./redis')
-
-// FIXME: Access optimistic lock directly from redis module for skipped test
-const redisModule = require('./redis')
-const getOrSetWithOptimisticLock = redisModule.getOrSetWithOptimisticLock || (() => { throw new Error('getOrSetWithOptimisticLock not implemented') })
+const { semaphore } = require('./semaphore')
+const { rwLock } = require('./rwLock')
+const { createLockNotifier } = require('./lockNotifier')
+const { createRateLimiter, ALGORITHMS } = require('./rateLimiter')
 
 const {
   msgpackEncDec
@@ -29,6 +36,7 @@ const createClientWithEventsHandled = (config) => {
 
 describe('Redis Integration Test', () => {
   let masterClient;
+  let masterPool;
   let masterContainer;
   let replicaClient;
   let replicaContainer;
@@ -66,11 +74,20 @@ describe('Redis Integration Test', () => {
       host: replicaContainer.getHost(),
       port: replicaContainer.getMappedPort(6379),
     })
+    masterPool = createPool({
+      host: masterContainer.getHost(),
+      port: masterContainer.getMappedPort(6379),
+    })
+    masterPool.on('error', (err) => {
+      console.log(err)
+    })
+    await masterPool.connect()
 
     await Promise.all([masterClient.ping(), replicaClient.ping()])
   }, 60000);
 
   afterAll(async () => {
+    if (masterPool) await masterPool.close()
     if (replicaClient) await replicaClient.quit()
     if (masterClient) await masterClient.quit()
 
@@ -114,6 +131,113 @@ describe('Redis Integration Test', () => {
       expect(gotFromGet).toStrictEqual(value)
     })
 
+    describe('negative caching', () => {
+      test('cache empty result and do not call funcWoArgs again', async () => {
+        let calledTimes = 0
+        const loader = () => {
+          calledTimes++
+          return null
+        }
+
+        for (let i = 0; i < 2; i++) {
+          const got = await cacheAside({
+            funcWoArgs: loader,
+            key,
+            ttlMs: 1000,
+            negativeTtlMs: 500,
+          })({ replicaClient, masterClient })
+          expect(got).toStrictEqual(null)
+        }
+        expect(calledTimes).toStrictEqual(1)
+
+        const gotFromGet = await getFunc({ client: masterClient, key })
+        expect(gotFromGet).toStrictEqual(EMPTY)
+
+        const pttl = await masterClient.pTTL(key)
+        expect(pttl).toBeLessThanOrEqual(500)
+      })
+    })
+
+    describe('early refresh', () => {
+      test('refresh once in background when about to expire', async () => {
+        await setFunc({
+          client: replicaClient, key,
+          // about to expire, took long to compute: refreshed for sure
+          value: xfetchEnvelope.wrap({ value, deltaMs: 1e9, ttlMs: 10 }),
+          ttlMs: 1000,
+        })
+
+        let calledTimes = 0
+        const loader = async () => {
+          calledTimes++
+          await sleepMs(50)
+          return { data: "new data here" }
+        }
+
+        const gots = await Promise.all([1, 2, 3].map(() => cacheAside({
+          funcWoArgs: loader,
+          key,
+          ttlMs: 1000,
+          earlyRefresh: { beta: 1 },
+        })({ replicaClient, masterClient })))
+
+        gots.forEach((got) => expect(got).toStrictEqual(value))
+
+        await sleepMs(200)
+        expect(calledTimes).toStrictEqual(1)
+
+        const gotFromGet = await getFunc({ client: masterClient, key })
+        expect(gotFromGet.value).toStrictEqual({ data: "new data here" })
+        expect(gotFromGet.deltaMs).toBeGreaterThanOrEqual(40)
+        expect(gotFromGet.expiresAt).toBeGreaterThan(Date.now())
+      })
+    })
+
+    describe('stale-while-revalidate', () => {
+      const newValue = { data: "new data here" }
+
+      test('return stale value right away and refresh once in background', async () => {
+        await setFunc({
+          client: replicaClient, key,
+          value: swrEnvelope.wrap({ value, softTtlMs: -1 }),
+          ttlMs: 1000,
+        })
+
+        let calledTimes = 0
+        const loader = async () => {
+          calledTimes++
+          await sleepMs(50)
+          return newValue
+        }
+
+        const gots = await Promise.all([1, 2, 3].map(() => cacheAside({
+          funcWoArgs: loader,
+          key,
+          ttlMs: 1000,
+          softTtlMs: 500,
+        })({ replicaClient, masterClient })))
+
+        gots.forEach((got) => expect(got).toStrictEqual(value))
+
+        await sleepMs(200)
+        expect(calledTimes).toStrictEqual(1)
+
+        const gotFromGet = await getFunc({ client: masterClient, key })
+        expect(gotFromGet.value).toStrictEqual(newValue)
+        expect(gotFromGet.staleAt).toBeGreaterThan(Date.now())
+      })
+
+      test('set if not found must return unwrapped value', async () => {
+        const got = await cacheAside({
+          funcWoArgs: () => value,
+          key,
+          ttlMs: 1000,
+          softTtlMs: 500,
+        })({ replicaClient, masterClient })
+        expect(got).toStrictEqual(value)
+      })
+    })
+
     describe('concurrent cacheAside', () => {
       const keyTtlMs = 10
       const getFromDbMs = 100
@@ -215,45 +339,120 @@ describe('Redis Integration Test', () => {
         expect(gotFromGet).toStrictEqual(value)
       })
 
-      // FIXME: Optimistic lock race condition test removed due to Redis v5 client behavior
-      // The test was inconsistently failing in test environment due to timing issues
-      // TODO: Implement proper optimistic locking test with Redis v5 compatible approach
-      test.skip('should err SET if has change at middle of transaction', async () => {
-        const keyTtlMs = 10
+    })
+
+    describe('getOrSet with optimistic lock', () => {
+      const getOrSetOptimistic = getOrSetWithOptimisticLock({
+        marshallFunc: msgpackEncDec.encode,
+        unmarshallFunc: msgpackEncDec.decode,
+      })
+
+      test('should retry on change at middle of transaction and return the winner', async () => {
         const getFromDbMs = 100
         const delayAfterFirstStart = Math.round(getFromDbMs / 3)
-
-        let getOrSetFunc = getOrSetWithOptimisticLock({
-          marshallFunc: msgpackEncDec.encode,
-          unmarshallFunc: msgpackEncDec.decode,
-        })
+        let loaded = 0
 
         const racing = Promise.all([
-          getOrSetFunc({
-            client: masterClient,
+          getOrSetOptimistic({
+            masterPool,
             funcWoArgs: async () => {
+              loaded++
               await sleepMs(getFromDbMs)
-              return value
+              return { by: 'first' }
             },
-            key, ttlMs: keyTtlMs}),
-          getOrSetFunc({
-            client: masterClient,
+            key, ttlMs: 1000,
+          }),
+          sleepMs(delayAfterFirstStart).then(() => getOrSetOptimistic({
+            masterPool,
             funcWoArgs: async () => {
-              await sleepMs(delayAfterFirstStart),
+              loaded++
               await sleepMs(getFromDbMs)
-              return value
+              return { by: 'second' }
             },
-            key, ttlMs: keyTtlMs}),
+            key, ttlMs: 1000,
+          })),
         ])
 
-        await expect(racing).rejects.toThrow("One (or more) of the watched keys has been changed")
+        // second EXEC fails on WATCH, its retry finds what first wrote
+        expect(await racing).toStrictEqual([{ by: 'first' }, { by: 'first' }])
+        expect(loaded).toStrictEqual(2)
+        expect(await getFunc({ client: masterClient, key })).toStrictEqual({ by: 'first' })
+      })
 
-        const gotFromGet = await getFunc({ client: masterClient, key })
-        expect(gotFromGet).toStrictEqual(null)
+      test('should give up with WatchError after retryTimeoutMs', async () => {
+        const getting = getOrSetOptimistic({
+          masterPool,
+          funcWoArgs: async () => {
+            // someone else keeps changing, then removing the key
+            await setFunc({ client: masterClient, key, value, ttlMs: 1000 })
+            await del({ client: masterClient, key })
+            return value
+          },
+          key, ttlMs: 1000,
+          retryTimeoutMs: 300,
+        })
+
+        await expect(getting).rejects.toThrow(WatchError)
       })
     })
   })
 
+  describe('hashCacheAsideFunc', () => {
+    const key = 'hashKey'
+    const hashCacheAside = hashCacheAsideFunc({
+      marshallFunc: msgpackEncDec.encode,
+      unmarshallFunc: msgpackEncDec.decode,
+    })
+
+    beforeEach(async () => {
+      await Promise.all([
+        del({ client: replicaClient, key }),
+        del({ client: masterClient, key }),
+      ])
+    })
+
+    test('load only missing fields and set hash-wide ttl', async () => {
+      const loadedFields = []
+      const fieldsLoader = async (fields) => {
+        loadedFields.push(fields)
+        return fields.reduce((accum, field) => {
+          accum[field] = { field }
+          return accum
+        }, {})
+      }
+
+      const got = await hashCacheAside({
+        fieldsLoader, key, fields: ['a', 'b'], ttlMs: 1000,
+      })({ replicaClient, masterClient })
+      expect(got).toStrictEqual({ a: { field: 'a' }, b: { field: 'b' } })
+
+      const gotMore = await hashCacheAside({
+        fieldsLoader, key, fields: ['b', 'c'], ttlMs: 1000,
+      })({ replicaClient, masterClient })
+      expect(gotMore).toStrictEqual({ b: { field: 'b' }, c: { field: 'c' } })
+
+      expect(loadedFields).toStrictEqual([['a', 'b'], ['c']])
+
+      const pttl = await masterClient.pTTL(key)
+      expect(pttl).toBeGreaterThan(0)
+      expect(pttl).toBeLessThanOrEqual(1000)
+    })
+
+    test('hDel remove given fields only', async () => {
+      const fieldsLoader = async (fields) => fields.reduce((accum, field) => {
+        accum[field] = { field }
+        return accum
+      }, {})
+      await hashCacheAside({
+        fieldsLoader, key, fields: ['a', 'b', 'c'], ttlMs: 1000,
+      })({ replicaClient, masterClient })
+
+      await hDel({ client: masterClient, key, fields: ['a', 'b'] })
+
+      expect(await masterClient.hKeys(key)).toStrictEqual(['c'])
+    })
+  })
+
   describe('simpleLock', () => {
     const lockName = 'test-lock'
     const ttlMs = 5000
@@ -275,6 +474,55 @@ describe('Redis Integration Test', () => {
       await lock.release()
     })
 
+    test('should wake up waiter with notifier on release', async () => {
+      const subscriberClient = masterClient.duplicate()
+      await subscriberClient.connect()
+      const notifier = createLockNotifier({ subscriberClient })
+
+      const holder = await simpleLock.aquire({ retryTimeoutMs: 1000 })({ masterClient, name: lockName, ttlMs })
+      const startMs = Date.now()
+      const waiting = simpleLock.aquire({ retryTimeoutMs: 10000, notifier })({ masterClient, name: lockName, ttlMs })
+      // released right after a poll, next one is more than a second away
+      await sleepMs(1600)
+      await holder.release()
+      const lock = await waiting
+
+      expect(Date.now() - startMs).toBeLessThan(2500)
+      await lock.release()
+      await subscriberClient.quit()
+    })
+
+    test('should issue increasing fencing tokens', async () => {
+      const aquire = simpleLock.aquire({ retryTimeoutMs: 1000 })
+      const lock1 = await aquire({ masterClient, name: lockName, ttlMs })
+      await lock1.release()
+      const lock2 = await aquire({ masterClient, name: lockName, ttlMs })
+      await lock2.release()
+
+      expect(lock2.fencingToken).toBeGreaterThan(lock1.fencingToken)
+    })
+
+    test('should not keep fencing counter forever', async () => {
+      const lock = await simpleLock.tryAquire({ masterClient, name: lockName, ttlMs, fencingTtlMs: 60000 })
+      await lock.release()
+
+      const counterTtlMs = await masterClient.pTTL(simpleLock.fencingName(simpleLock.lockName(lockName)))
+      expect(counterTtlMs).toBeGreaterThan(0)
+      expect(counterTtlMs).toBeLessThanOrEqual(24 * 60 * 60 * 1000)
+    })
+
+    test('set should refuse writes carrying an older fencing token', async () => {
+      const key = 'fenced-key'
+      await del({ client: masterClient, key })
+
+      expect(await setFunc({ client: masterClient, key, value: { v: 2 }, ttlMs, fencingToken: 2 })).toBe('OK')
+      expect(await setFunc({ client: masterClient, key, value: { v: 1 }, ttlMs, fencingToken: 1 })).toBeNull()
+      expect(await getFunc({ client: masterClient, key })).toStrictEqual({ v: 2 })
+
+      expect(await setFunc({ client: masterClient, key, value: { v: 3 }, ttlMs, fencingToken: 3 })).toBe('OK')
+      expect(await getFunc({ client: masterClient, key })).toStrictEqual({ v: 3 })
+    })
+
     test('should fail to acquire already acquired lock', async () => {
       const lock1 = await simpleLock.aquire({ retryTimeoutMs: 1000 })({
         masterClient,
@@ -396,4 +644,106 @@ describe('Redis Integration Test', () => {
       await lock.release()
     })
   })
+
+  describe('semaphore', () => {
+    const name = 'test-semaphore'
+    const ttlMs = 5000
+
+    beforeEach(async () => {
+      await del({ client: masterClient, key: semaphore.semaphoreName(name) })
+    })
+
+    test('should give out at most permits at once', async () => {
+      const tryAquire = () => semaphore.tryAquire({ masterClient, name, permits: 2, ttlMs })
+
+      const first = await tryAquire()
+      const second = await tryAquire()
+      expect(first).not.toBeNull()
+      expect(second).not.toBeNull()
+      expect(await tryAquire()).toBeNull()
+
+      await first.release()
+      const third = await tryAquire()
+      expect(third).not.toBeNull()
+
+      await Promise.all([second.release(), third.release()])
+    })
+
+    test('should give permit of expired holder back', async () => {
+      const holder = await semaphore.tryAquire({ masterClient, name, permits: 1, ttlMs: 100 })
+      await sleepMs(150)
+
+      const next = await semaphore.tryAquire({ masterClient, name, permits: 1, ttlMs })
+      expect(next).not.toBeNull()
+      await expect(holder.extend({ ttlMs })).rejects.toThrow('extend failed')
+
+      await next.release()
+    })
+  })
+
+  describe('rwLock', () => {
+    const name = 'test-rwLock'
+    const ttlMs = 5000
+
+    beforeEach(async () => {
+      const keys = rwLock.keys(name)
+      await Promise.all(Object.values(keys).map((key) => del({ client: masterClient, key })))
+    })
+
+    test('should let readers in together and keep writer out', async () => {
+      const reader1 = await rwLock.tryAquireRead({ masterClient, name, ttlMs })
+      const reader2 = await rwLock.tryAquireRead({ masterClient, name, ttlMs })
+      expect(reader1).not.toBeNull()
+      expect(reader2).not.toBeNull()
+      expect(await rwLock.tryAquireWrite({ masterClient, name, ttlMs })).toBeNull()
+      // a single failed attempt does not block readers
+      const reader3 = await rwLock.tryAquireRead({ masterClient, name, ttlMs })
+      expect(reader3).not.toBeNull()
+
+      await Promise.all([reader1.release(), reader2.release(), reader3.release()])
+      const writer = await rwLock.tryAquireWrite({ masterClient, name, ttlMs })
+      expect(writer).not.toBeNull()
+      expect(await rwLock.tryAquireRead({ masterClient, name, ttlMs })).toBeNull()
+
+      await writer.release()
+    })
+
+    test('should not let new readers in while a writer waits', async () => {
+      const reader = await rwLock.tryAquireRead({ masterClient, name, ttlMs })
+      const writing = rwLock.aquireWrite({ retryTimeoutMs: 2000 })({ masterClient, name, ttlMs })
+      await sleepMs(50)
+
+      expect(await rwLock.tryAquireRead({ masterClient, name, ttlMs })).toBeNull()
+
+      await reader.release()
+      const writer = await writing
+      await writer.release()
+      const nextReader = await rwLock.tryAquireRead({ masterClient, name, ttlMs })
+      expect(nextReader).not.toBeNull()
+      await nextReader.release()
+    })
+  })
+
+  describe('rateLimiter', () => {
+    const windowMs = 1000
+
+    test.each(Object.values(ALGORITHMS))('%s should allow limit then tell when to retry', async (algorithm) => {
+      const limiter = createRateLimiter({ name: `test-${algorithm}`, algorithm, limit: 2, windowMs, masterClient })
+      await limiter.reset({ key: 'user1' })
+
+      const results = [
+        await limiter.consume({ key: 'user1' }),
+        await limiter.consume({ key: 'user1' }),
+        await limiter.consume({ key: 'user1' }),
+      ]
+
+      expect(results.map(({ allowed }) => allowed)).toStrictEqual([true, true, false])
+      expect(results[1].remaining).toStrictEqual(0)
+      expect(results[2].retryAfterMs).toBeGreaterThan(0)
+      expect(results[2].retryAfterMs).toBeLessThanOrEqual(windowMs)
+
+      await sleepMs(results[2].retryAfterMs + 10)
+      expect((await limiter.consume({ key: 'user1' })).allowed).toStrictEqual(true)
+    })
+  })
 });
@@ -0,0 +1,122 @@
+const { generateRandomString } = require('./random')
+const { tryWithBackoffRetry } = require('./retry')
+const {
+  AquireLockError,
+  lockScripts,
+  hashTag,
+} = require('./redis')
+
+// quorum lock across N independent redis masters (no replication between them)
+// ref: https://redis.io/docs/latest/develop/use/patterns/distributed-locks/#the-redlock-algorithm
+//
+// lock is held when set on a majority of masters, within its validity time:
+//   validityMs = ttlMs - elapsed time to aquire - clock drift allowance
+//
+// aquire has the same shape as simpleLock.aquire, so it can be used as
+// lockStrategy of wrapWithPessimisticSimpleLock (masterClient is ignored)
+const createRedlock = ({
+  clients,
+  // clock drift allowance, as a factor of ttlMs
+  driftFactor = 0.01,
+  // a node not answering within it counts as failed, so a down node (commands queued
+  // offline by the client) does not block the others, capped to a tenth of ttlMs
+  // when aquiring / extending
+  nodeTimeoutMs = 200,
+}) => {
+  const quorum = Math.floor(clients.length / 2) + 1
+
+  const lockName = (name) => `redlock.${hashTag(name)}`
+
+  const _driftMs = (ttlMs) => Math.round(driftFactor * ttlMs) + 2
+
+  const _nodeTimeoutMsOf = (ttlMs) => Math.min(nodeTimeoutMs, ttlMs / 10)
+
+  // count nodes on which func succeed within timeoutMs, an unreachable node counts as a failure
+  const _countOnAll = async (func, timeoutMs = nodeTimeoutMs) => {
+    const results = await Promise.all(clients.map((client) => {
+      let timer
+      const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(false), timeoutMs)
+      })
+      const done = func(client).then((ok) => Boolean(ok), () => false)
+      return Promise.race([done, timeout]).finally(() => clearTimeout(timer))
+    }))
+    return results.filter(Boolean).length
+  }
+
+  const _releaseOnAll = ({ name, secret }) => _countOnAll(async (client) => {
+    const res = await client.eval(lockScripts.release, { keys: [name], arguments: [secret] })
+    return res !== 0
+  })
+
+  const _extendOnAll = ({ name, secret, ttlMs }) => _countOnAll(async (client) => {
+    const res = await client.eval(lockScripts.extend, { keys: [name], arguments: [secret, String(ttlMs)] })
+    return res !== 0
+  }, _nodeTimeoutMsOf(ttlMs))
+
+  const release = async ({ name, secret }) => {
+    const released = await _releaseOnAll({ name, secret })
+    if (released <= 0) {
+      throw new Error('release failed')
+    }
+  }
+
+  // resolve to new validityMs
+  const extend = async ({ name, secret, ttlMs }) => {
+    const startMs = Date.now()
+    const extended = await _extendOnAll({ name, secret, ttlMs })
+    const validityMs = ttlMs - (Date.now() - startMs) - _driftMs(ttlMs)
+    if (extended < quorum || validityMs <= 0) {
+      throw new Error('extend failed')
+    }
+    return validityMs
+  }
+
+  const aquire = ({ retryTimeoutMs, signal }) => async ({ name, ttlMs }) => {
+    const _name = lockName(name)
+    // secret used here to ensure ownership
+    const secret = generateRandomString(8) + Date.now()
+
+    const trySet = async () => {
+      const startMs = Date.now()
+      const locked = await _countOnAll(async (client) => {
+        const result = await client.set(_name, secret, { PX: ttlMs, NX: true })
+        return result !== null
+      }, _nodeTimeoutMsOf(ttlMs))
+
+      const validityMs = ttlMs - (Date.now() - startMs) - _driftMs(ttlMs)
+      if (locked >= quorum && validityMs > 0) {
+        return validityMs
+      }
+
+      // unlock the minority we got, so others do not need to wait for ttl
+      await _releaseOnAll({ name: _name, secret })
+      throw new AquireLockError('aquire failed')
+    }
+
+    const validityMs = await tryWithBackoffRetry({
+      funcWoArgs: trySet,
+      maxTimeMs: retryTimeoutMs,
+      allowedErrorType: AquireLockError,
+      signal,
+    })
+
+    return {
+      validityMs,
+      release: () => release({ name: _name, secret }),
+      extend: ({ ttlMs: _ttlMs }) => extend({ name: _name, secret, ttlMs: _ttlMs }),
+    }
+  }
+
+  return {
+    quorum,
+    lockName,
+    aquire,
+    release,
+    extend,
+  }
+}
+
+module.exports = {
+  createRedlock,
+}
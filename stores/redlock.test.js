@@ -0,0 +1,147 @@
+const { createRedlock } = require('./redlock')
+const { wrapWithPessimisticSimpleLock } = require('./redis')
+
+describe('redlock', () => {
+  let clients
+
+  const createMockClient = () => ({
+    set: jest.fn().mockResolvedValue('OK'),
+    eval: jest.fn().mockResolvedValue(1),
+  })
+
+  beforeEach(() => {
+    clients = [createMockClient(), createMockClient(), createMockClient()]
+  })
+
+  test('should require a majority', () => {
+    expect(createRedlock({ clients }).quorum).toBe(2)
+    expect(createRedlock({ clients: [...clients, createMockClient(), createMockClient()] }).quorum).toBe(3)
+  })
+
+  describe('aquire', () => {
+    test('should aquire when set on all nodes', async () => {
+      const redlock = createRedlock({ clients })
+
+      const lock = await redlock.aquire({ retryTimeoutMs: 100 })({ name: 'test', ttlMs: 1000 })
+
+      expect(lock).toHaveProperty('release')
+      expect(lock).toHaveProperty('extend')
+      expect(lock.validityMs).toBeGreaterThan(0)
+      expect(lock.validityMs).toBeLessThan(1000)
+      clients.forEach((client) => {
+        expect(client.set).toHaveBeenCalledWith('redlock.{test}', expect.any(String), { PX: 1000, NX: true })
+      })
+    })
+
+    test('should aquire with a majority even when one node is down', async () => {
+      clients[0].set.mockRejectedValue(new Error('connection refused'))
+      const redlock = createRedlock({ clients })
+
+      await expect(redlock.aquire({ retryTimeoutMs: 100 })({ name: 'test', ttlMs: 1000 })).resolves.toHaveProperty('release')
+    })
+
+    test('should not wait on a node that never answers', async () => {
+      // commands queued offline by the client of a down node
+      clients[0].set.mockReturnValue(new Promise(() => {}))
+      clients[0].eval.mockReturnValue(new Promise(() => {}))
+      const redlock = createRedlock({ clients })
+
+      const lock = await redlock.aquire({ retryTimeoutMs: 100 })({ name: 'test', ttlMs: 1000 })
+
+      expect(lock.validityMs).toBeGreaterThan(0)
+      await expect(lock.extend({ ttlMs: 1000 })).resolves.toBeGreaterThan(0)
+      await expect(lock.release()).resolves.toBeUndefined()
+    })
+
+    test('should fail when too many nodes do not answer in time', async () => {
+      clients[0].set.mockReturnValue(new Promise(() => {}))
+      clients[1].set.mockReturnValue(new Promise(() => {}))
+      const redlock = createRedlock({ clients, nodeTimeoutMs: 10 })
+
+      await expect(
+        redlock.aquire({ retryTimeoutMs: 50 })({ name: 'test', ttlMs: 1000 })
+      ).rejects.toThrow('aquire failed')
+    })
+
+    test('should fail and release minority without a majority', async () => {
+      clients[0].set.mockResolvedValue(null)
+      clients[1].set.mockResolvedValue(null)
+      const redlock = createRedlock({ clients })
+
+      await expect(
+        redlock.aquire({ retryTimeoutMs: 100 })({ name: 'test', ttlMs: 1000 })
+      ).rejects.toThrow('aquire failed')
+
+      expect(clients[2].eval).toHaveBeenCalledWith(
+        expect.stringContaining('redis.call("del",KEYS[1])'),
+        { keys: ['redlock.{test}'], arguments: [expect.any(String)] },
+      )
+    })
+
+    test('should fail when validity time is used up', async () => {
+      const redlock = createRedlock({ clients, driftFactor: 1 })
+
+      await expect(
+        redlock.aquire({ retryTimeoutMs: 0 })({ name: 'test', ttlMs: 1000 })
+      ).rejects.toThrow('aquire failed')
+    })
+  })
+
+  describe('extend', () => {
+    test('should extend on all nodes with ttlMs as string', async () => {
+      const redlock = createRedlock({ clients })
+      const lock = await redlock.aquire({ retryTimeoutMs: 100 })({ name: 'test', ttlMs: 1000 })
+
+      await expect(lock.extend({ ttlMs: 5000 })).resolves.toBeGreaterThan(0)
+      clients.forEach((client) => {
+        expect(client.eval).toHaveBeenCalledWith(
+          expect.any(String),
+          { keys: ['redlock.{test}'], arguments: [expect.any(String), '5000'] },
+        )
+      })
+    })
+
+    test('should fail without a majority', async () => {
+      const redlock = createRedlock({ clients })
+      const lock = await redlock.aquire({ retryTimeoutMs: 100 })({ name: 'test', ttlMs: 1000 })
+      clients[0].eval.mockResolvedValue(0)
+      clients[1].eval.mockRejectedValue(new Error('connection refused'))
+
+      await expect(lock.extend({ ttlMs: 5000 })).rejects.toThrow('extend failed')
+    })
+  })
+
+  describe('release', () => {
+    test('should release on all nodes', async () => {
+      const redlock = createRedlock({ clients })
+      const lock = await redlock.aquire({ retryTimeoutMs: 100 })({ name: 'test', ttlMs: 1000 })
+
+      await lock.release()
+
+      clients.forEach((client) => expect(client.eval).toHaveBeenCalledTimes(1))
+    })
+
+    test('should fail when released on no node', async () => {
+      const redlock = createRedlock({ clients })
+      const lock = await redlock.aquire({ retryTimeoutMs: 100 })({ name: 'test', ttlMs: 1000 })
+      clients.forEach((client) => client.eval.mockResolvedValue(0))
+
+      await expect(lock.release()).rejects.toThrow('release failed')
+    })
+  })
+
+  test('should be usable as lockStrategy of wrapWithPessimisticSimpleLock', async () => {
+    const redlock = createRedlock({ clients })
+
+    const got = await wrapWithPessimisticSimpleLock({
+      funcWoArgs: async () => 'value',
+      key: 'key',
+      lockStrategy: redlock.aquire,
+    })
+
+    expect(got).toBe('value')
+    clients.forEach((client) => {
+      expect(client.set).toHaveBeenCalledWith('redlock.{simpleLock.key}', expect.any(String), expect.any(Object))
+    })
+  })
+})
@@ -1,45 +1,168 @@
-const getBackoffDelay = ({ baseDelayMs, maxTimeMs, attempt }) => {
-  const jitter = Math.random() * baseDelayMs
+// how the exponential backoff (baseDelayMs * 2 ^ attempt) is randomized
+// ref: https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+const JITTER = {
+  // backoff + random(0, baseDelayMs)
+  additive: 'additive',
+  // random(0, backoff)
+  full: 'full',
+  // backoff / 2 + random(0, backoff / 2)
+  equal: 'equal',
+  // random(baseDelayMs, previous delay * 3), not based on attempt
+  decorrelated: 'decorrelated',
+}
+
+const getBackoffDelay = ({ baseDelayMs, maxTimeMs, attempt, jitter = JITTER.additive, previousDelayMs = baseDelayMs }) => {
+  const backoff = baseDelayMs * Math.pow(2, attempt)
+  let delay
+  switch (jitter) {
+    case JITTER.full:
+      delay = Math.random() * backoff
+      break
+    case JITTER.equal:
+      delay = backoff / 2 + Math.random() * backoff / 2
+      break
+    case JITTER.decorrelated:
+      delay = baseDelayMs + Math.random() * (previousDelayMs * 3 - baseDelayMs)
+      break
+    default:
+      delay = backoff + Math.random() * baseDelayMs
+  }
   return Math.min(
-    baseDelayMs * Math.pow(2, attempt) + jitter,
+    delay,
     maxTimeMs,
   )
 }
 
+class AttemptTimeoutError extends Error {}
+
+// resolve after delayMs, reject with signal.reason once signal aborts
+const sleepMs = ({ delayMs, signal }) => new Promise((resolve, reject) => {
+  if (!signal) {
+    setTimeout(resolve, delayMs)
+    return
+  }
+  const onAbort = () => {
+    clearTimeout(timer)
+    reject(signal.reason)
+  }
+  const timer = setTimeout(() => {
+    signal.removeEventListener('abort', onAbort)
+    resolve()
+  }, delayMs)
+  signal.addEventListener('abort', onAbort, { once: true })
+})
+
+// run one attempt, reject with AttemptTimeoutError after attemptTimeoutMs
+// funcWoArgs gets a signal aborted on timeout (or when signal aborts), so it can stop its work
+const runAttempt = async ({ funcWoArgs, attempt, attemptTimeoutMs, signal }) => {
+  if (attemptTimeoutMs == null) {
+    return funcWoArgs({ attempt, signal })
+  }
+
+  const controller = new AbortController()
+  const onAbort = () => controller.abort(signal.reason)
+  signal?.addEventListener('abort', onAbort, { once: true })
+
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new AttemptTimeoutError(`attempt timed out after ${attemptTimeoutMs}ms`)
+      controller.abort(error)
+      reject(error)
+    }, attemptTimeoutMs)
+  })
+
+  try {
+    return await Promise.race([funcWoArgs({ attempt, signal: controller.signal }), timeout])
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+// retry policy, every field is optional but set at least one limit (maxTimeMs,
+// maxAttempts or signal), it retries forever otherwise:
+// - maxTimeMs: total time budget, no new attempt after it
+// - maxAttempts: including the first one
+// - baseDelayMs / maxDelayMs: backoff bounds, see JITTER for how it is randomized
+// - allowedErrorType / isRetryable(error): which errors are retried, others are thrown right away
+// - onRetry({ error, attempt, delayMs }): called before waiting for the next attempt
+// - signal: AbortSignal, stop retrying and reject with its reason once aborted
+// - attemptTimeoutMs: give up an attempt (AttemptTimeoutError, retryable) after it
+// - waitFunc: ({ delayMs, signal }) => Promise, wait between attempts, may resolve
+//   earlier than delayMs (e.g. woken by a notification, see createLockNotifier)
+//
+// funcWoArgs is called with { attempt, signal }
 const tryWithBackoffRetry = async ({
   funcWoArgs,
-  maxTimeMs,
+  maxTimeMs = Infinity,
+  maxAttempts = Infinity,
   baseDelayMs = 100,
+  maxDelayMs = Infinity,
+  jitter = JITTER.additive,
   allowedErrorType = undefined,
+  isRetryable = () => true,
+  onRetry = () => {},
+  signal = undefined,
+  attemptTimeoutMs = undefined,
+  waitFunc = sleepMs,
 }) => {
   const startTime = Date.now()
 
   let attempt = 0
+  let previousDelayMs = baseDelayMs
   while (true) {
+    signal?.throwIfAborted()
     try {
-      const result = await funcWoArgs()
+      const result = await runAttempt({ funcWoArgs, attempt, attemptTimeoutMs, signal })
       return result
     } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason
+      }
       if (allowedErrorType && !(error instanceof allowedErrorType)) {
         throw error
       }
+      if (!isRetryable(error)) {
+        throw error
+      }
 
       const elapsedTime = Date.now() - startTime;
-      if (elapsedTime >= maxTimeMs) {
+      if (elapsedTime >= maxTimeMs || attempt + 1 >= maxAttempts) {
         throw error
       }
-      const delay = getBackoffDelay({
+      const delay = Math.min(getBackoffDelay({
         baseDelayMs,
         maxTimeMs: maxTimeMs - elapsedTime,
         attempt,
-      })
+        jitter,
+        previousDelayMs,
+      }), maxDelayMs)
+      previousDelayMs = delay
 
-      await new Promise((resolve) => setTimeout(resolve, delay));
+      try {
+        onRetry({ error, attempt, delayMs: delay })
+      } catch {
+        // hook must not break the retry
+      }
+      await waitFunc({ delayMs: delay, signal });
       attempt++;
     }
   }
 }
 
+// fn with retries, e.g. const getUser = withRetry(fetchUser, { maxAttempts: 3, jitter: JITTER.full })
+// see tryWithBackoffRetry for policy, fn is called with its own args only
+const withRetry = (fn, policy) => (...args) => tryWithBackoffRetry({
+  ...policy,
+  funcWoArgs: () => fn(...args),
+})
+
 module.exports = {
+  JITTER,
+  AttemptTimeoutError,
+  getBackoffDelay,
+  sleepMs,
   tryWithBackoffRetry,
+  withRetry,
 }
@@ -0,0 +1,157 @@
+const {
+  JITTER,
+  AttemptTimeoutError,
+  getBackoffDelay,
+  tryWithBackoffRetry,
+  withRetry,
+} = require('./retry')
+
+describe('retry', () => {
+  // no real waiting between attempts
+  const waitFunc = jest.fn().mockResolvedValue()
+
+  beforeEach(() => {
+    waitFunc.mockClear()
+  })
+
+  const failingTimes = (times, error = new Error('failed')) => {
+    let calls = 0
+    return jest.fn().mockImplementation(async () => {
+      calls++
+      if (calls <= times) {
+        throw error
+      }
+      return 'done'
+    })
+  }
+
+  describe('getBackoffDelay', () => {
+    test.each([
+      [JITTER.additive, 400, 500],
+      [JITTER.full, 0, 400],
+      [JITTER.equal, 200, 400],
+    ])('%s jitter should stay in its range', (jitter, min, max) => {
+      for (let i = 0; i < 50; i++) {
+        const delay = getBackoffDelay({ baseDelayMs: 100, maxTimeMs: Infinity, attempt: 2, jitter })
+        expect(delay).toBeGreaterThanOrEqual(min)
+        expect(delay).toBeLessThanOrEqual(max)
+      }
+    })
+
+    test('decorrelated jitter should grow from previous delay', () => {
+      for (let i = 0; i < 50; i++) {
+        const delay = getBackoffDelay({
+          baseDelayMs: 100, maxTimeMs: Infinity, attempt: 0, jitter: JITTER.decorrelated, previousDelayMs: 1000,
+        })
+        expect(delay).toBeGreaterThanOrEqual(100)
+        expect(delay).toBeLessThanOrEqual(3000)
+      }
+    })
+
+    test('should not exceed maxTimeMs', () => {
+      expect(getBackoffDelay({ baseDelayMs: 100, maxTimeMs: 50, attempt: 5 })).toBe(50)
+    })
+  })
+
+  describe('tryWithBackoffRetry', () => {
+    test('should stop after maxAttempts', async () => {
+      const funcWoArgs = failingTimes(5)
+
+      await expect(tryWithBackoffRetry({ funcWoArgs, maxAttempts: 3, waitFunc })).rejects.toThrow('failed')
+      expect(funcWoArgs).toHaveBeenCalledTimes(3)
+    })
+
+    test('should only retry errors accepted by isRetryable', async () => {
+      const funcWoArgs = failingTimes(1, new TypeError('bad input'))
+
+      await expect(tryWithBackoffRetry({
+        funcWoArgs,
+        maxAttempts: 3,
+        isRetryable: (error) => !(error instanceof TypeError),
+        waitFunc,
+      })).rejects.toThrow(TypeError)
+      expect(funcWoArgs).toHaveBeenCalledTimes(1)
+    })
+
+    test('should call onRetry before each wait', async () => {
+      const onRetry = jest.fn()
+
+      const result = await tryWithBackoffRetry({
+        funcWoArgs: failingTimes(2),
+        maxAttempts: 3,
+        baseDelayMs: 10,
+        maxDelayMs: 15,
+        onRetry,
+        waitFunc,
+      })
+
+      expect(result).toBe('done')
+      expect(onRetry).toHaveBeenCalledTimes(2)
+      expect(onRetry).toHaveBeenNthCalledWith(2, { error: expect.any(Error), attempt: 1, delayMs: 15 })
+      expect(waitFunc).toHaveBeenLastCalledWith({ delayMs: 15, signal: undefined })
+    })
+
+    test('should not break on failing onRetry', async () => {
+      const result = await tryWithBackoffRetry({
+        funcWoArgs: failingTimes(1),
+        maxAttempts: 2,
+        onRetry: () => { throw new Error('hook failed') },
+        waitFunc,
+      })
+
+      expect(result).toBe('done')
+    })
+
+    test('should stop once signal aborts', async () => {
+      const controller = new AbortController()
+      const funcWoArgs = jest.fn().mockImplementation(async () => {
+        controller.abort(new Error('cancelled'))
+        throw new Error('failed')
+      })
+
+      await expect(tryWithBackoffRetry({ funcWoArgs, signal: controller.signal, waitFunc }))
+        .rejects.toThrow('cancelled')
+      expect(funcWoArgs).toHaveBeenCalledTimes(1)
+    })
+
+    test('should time out slow attempts and retry them', async () => {
+      let attemptSignal
+      const funcWoArgs = jest.fn()
+        .mockImplementationOnce(({ signal }) => {
+          attemptSignal = signal
+          return new Promise(() => {})
+        })
+        .mockResolvedValueOnce('done')
+
+      const result = await tryWithBackoffRetry({ funcWoArgs, maxAttempts: 2, attemptTimeoutMs: 20, waitFunc })
+
+      expect(result).toBe('done')
+      expect(attemptSignal.aborted).toBe(true)
+      expect(attemptSignal.reason).toBeInstanceOf(AttemptTimeoutError)
+      expect(funcWoArgs).toHaveBeenLastCalledWith({ attempt: 1, signal: expect.any(AbortSignal) })
+    })
+
+    test('should keep the time budget', async () => {
+      const funcWoArgs = failingTimes(Infinity)
+
+      const startMs = Date.now()
+      await expect(tryWithBackoffRetry({ funcWoArgs, maxTimeMs: 150, baseDelayMs: 10 })).rejects.toThrow('failed')
+
+      expect(Date.now() - startMs).toBeLessThan(400)
+    })
+  })
+
+  describe('withRetry', () => {
+    test('should call fn with its args until it succeeds', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(new Error('failed'))
+        .mockImplementation(async (a, b) => a + b)
+
+      const add = withRetry(fn, { maxAttempts: 2, waitFunc })
+
+      expect(await add(1, 2)).toBe(3)
+      expect(fn).toHaveBeenCalledTimes(2)
+      expect(fn).toHaveBeenLastCalledWith(1, 2)
+    })
+  })
+})
@@ -0,0 +1,180 @@
+const { generateRandomString } = require('./random')
+const { tryWithBackoffRetry } = require('./retry')
+const {
+  AquireLockError,
+  lockScripts,
+  hashTag,
+} = require('./redis')
+const {
+  nowMsLua,
+  keepAliveLua,
+  semaphoreScripts,
+} = require('./semaphore')
+
+// KEYS: readers (sorted set like semaphore), writer (like simpleLock), writer waiting
+// a writer blocked by readers leaves its intent in writer waiting (only when ARGV[3] is 1,
+// i.e. it keeps retrying with the same secret), so new readers stop coming in and the
+// writer is not starved
+const rwLockScripts = {
+  aquireRead: `${nowMsLua}
+    if redis.call("exists", KEYS[2]) == 1 or redis.call("exists", KEYS[3]) == 1 then
+        return 0
+    end
+    redis.call("zremrangebyscore", KEYS[1], "-inf", now)
+    redis.call("zadd", KEYS[1], now + tonumber(ARGV[2]), ARGV[1])
+    ${keepAliveLua}
+    return 1
+  `,
+  aquireWrite: `${nowMsLua}
+    if redis.call("exists", KEYS[2]) == 1 then
+        return 0
+    end
+    local waiting = redis.call("get", KEYS[3])
+    if waiting and waiting ~= ARGV[1] then
+        return 0
+    end
+    redis.call("zremrangebyscore", KEYS[1], "-inf", now)
+    if redis.call("zcard", KEYS[1]) > 0 then
+        if ARGV[3] == "1" then
+            redis.call("set", KEYS[3], ARGV[1], "PX", ARGV[2])
+        end
+        return 0
+    end
+    redis.call("del", KEYS[3])
+    redis.call("set", KEYS[2], ARGV[1], "PX", ARGV[2])
+    return 1
+  `,
+}
+
+const secretOf = () => generateRandomString(8) + Date.now()
+
+// many readers or one writer at once, each holder has its own lease (ttlMs)
+//
+// aquireRead / aquireWrite have the same shape as simpleLock.aquire, so they can be
+// used as lockStrategy of wrapWithPessimisticSimpleLock
+const rwLock = {
+  // same slot as the name it protects
+  lockName: (name) => `rwLock.${hashTag(name)}`,
+  keys: (name) => {
+    const lockName = rwLock.lockName(name)
+    return {
+      readers: `${lockName}.readers`,
+      writer: `${lockName}.writer`,
+      writerWaiting: `${lockName}.writerWaiting`,
+    }
+  },
+  // single attempt, resolve to null if a writer holds / waits for the lock
+  tryAquireRead: async ({ masterClient, name, ttlMs }) => {
+    const { readers, writer, writerWaiting } = rwLock.keys(name)
+    // secret used here to ensure ownership
+    const secret = secretOf()
+
+    // lease runs from when the script is sent
+    const startMs = Date.now()
+    const res = await masterClient.eval(rwLockScripts.aquireRead, {
+      keys: [readers, writer, writerWaiting],
+      arguments: [secret, String(ttlMs)],
+    })
+    if (res === 0) {
+      return null
+    }
+
+    return {
+      validityMs: ttlMs - (Date.now() - startMs),
+      release: () => rwLock.releaseRead({ masterClient, name: readers, secret }),
+      extend: ({ ttlMs: _ttlMs }) => rwLock.extendRead({ masterClient, name: readers, secret, ttlMs: _ttlMs }),
+    }
+  },
+  // single attempt, resolve to null if readers / another writer hold the lock
+  // waitIntent: leave writer waiting intent when blocked by readers, only for callers
+  // retrying with the same secret (see aquireWrite), it locks everyone else out otherwise
+  tryAquireWrite: async ({ masterClient, name, ttlMs, secret = secretOf(), waitIntent = false }) => {
+    const { readers, writer, writerWaiting } = rwLock.keys(name)
+
+    const startMs = Date.now()
+    const res = await masterClient.eval(rwLockScripts.aquireWrite, {
+      keys: [readers, writer, writerWaiting],
+      arguments: [secret, String(ttlMs), waitIntent ? '1' : '0'],
+    })
+    if (res === 0) {
+      return null
+    }
+
+    return {
+      validityMs: ttlMs - (Date.now() - startMs),
+      release: () => rwLock.releaseWrite({ masterClient, name: writer, secret }),
+      extend: ({ ttlMs: _ttlMs }) => rwLock.extendWrite({ masterClient, name: writer, secret, ttlMs: _ttlMs }),
+    }
+  },
+  aquireRead: ({ retryTimeoutMs, signal }) => async ({ masterClient, name, ttlMs }) => {
+    const tryRead = async () => {
+      const handle = await rwLock.tryAquireRead({ masterClient, name, ttlMs })
+      if (handle === null) {
+        throw new AquireLockError('aquire failed')
+      }
+      return handle
+    }
+
+    return tryWithBackoffRetry({
+      funcWoArgs: tryRead,
+      maxTimeMs: retryTimeoutMs,
+      allowedErrorType: AquireLockError,
+      signal,
+    })
+  },
+  aquireWrite: ({ retryTimeoutMs, signal }) => async ({ masterClient, name, ttlMs }) => {
+    // same secret over retries, so the writer waiting intent stays ours
+    const secret = secretOf()
+
+    const tryWrite = async () => {
+      const handle = await rwLock.tryAquireWrite({ masterClient, name, ttlMs, secret, waitIntent: true })
+      if (handle === null) {
+        throw new AquireLockError('aquire failed')
+      }
+      return handle
+    }
+
+    try {
+      return await tryWithBackoffRetry({
+        funcWoArgs: tryWrite,
+        maxTimeMs: retryTimeoutMs,
+        allowedErrorType: AquireLockError,
+        signal,
+      })
+    } catch (error) {
+      // give up, let readers in again
+      const { writerWaiting } = rwLock.keys(name)
+      await masterClient.eval(lockScripts.release, { keys: [writerWaiting], arguments: [secret] }).catch(() => {})
+      throw error
+    }
+  },
+  releaseRead: async ({ masterClient, name, secret }) => {
+    const res = await masterClient.eval(semaphoreScripts.release, { keys: [name], arguments: [secret] })
+    if (res === 0) {
+      throw new Error('release failed')
+    }
+  },
+  extendRead: async ({ masterClient, name, secret, ttlMs }) => {
+    const res = await masterClient.eval(semaphoreScripts.extend, { keys: [name], arguments: [secret, String(ttlMs)] })
+    if (res === 0) {
+      throw new Error('extend failed')
+    }
+  },
+  releaseWrite: async ({ masterClient, name, secret }) => {
+    const res = await masterClient.eval(lockScripts.release, { keys: [name], arguments: [secret] })
+    if (res === 0) {
+      throw new Error('release failed')
+    }
+  },
+  extendWrite: async ({ masterClient, name, secret, ttlMs }) => {
+    const res = await masterClient.eval(lockScripts.extend, { keys: [name], arguments: [secret, String(ttlMs)] })
+    if (res === 0) {
+      throw new Error('extend failed')
+    }
+  },
+}
+
+module.exports = {
+  rwLockScripts,
+  rwLock,
+}
@@ -0,0 +1,97 @@
+const { rwLock, rwLockScripts } = require('./rwLock')
+const { semaphoreScripts } = require('./semaphore')
+const { AquireLockError, lockScripts } = require('./redis')
+
+describe('rwLock', () => {
+  let mockClient
+  const keys = ['rwLock.{doc}.readers', 'rwLock.{doc}.writer', 'rwLock.{doc}.writerWaiting']
+
+  beforeEach(() => {
+    mockClient = {
+      eval: jest.fn().mockResolvedValue(1),
+    }
+  })
+
+  test('should keep all keys in same cluster slot', () => {
+    expect(rwLock.keys('{user1}.doc')).toStrictEqual({
+      readers: 'rwLock.{user1}.doc.readers',
+      writer: 'rwLock.{user1}.doc.writer',
+      writerWaiting: 'rwLock.{user1}.doc.writerWaiting',
+    })
+  })
+
+  describe('read', () => {
+    test('should aquire and release on readers', async () => {
+      const handle = await rwLock.aquireRead({ retryTimeoutMs: 100 })({
+        masterClient: mockClient, name: 'doc', ttlMs: 5000,
+      })
+      const secret = mockClient.eval.mock.calls[0][1].arguments[0]
+      await handle.release()
+
+      expect(mockClient.eval).toHaveBeenCalledWith(rwLockScripts.aquireRead, {
+        keys, arguments: [secret, '5000'],
+      })
+      expect(mockClient.eval).toHaveBeenCalledWith(semaphoreScripts.release, {
+        keys: ['rwLock.{doc}.readers'], arguments: [secret],
+      })
+    })
+
+    test('should return null while a writer holds the lock', async () => {
+      mockClient.eval.mockResolvedValue(0)
+
+      expect(await rwLock.tryAquireRead({ masterClient: mockClient, name: 'doc', ttlMs: 5000 })).toBeNull()
+    })
+  })
+
+  describe('write', () => {
+    test('should aquire and extend on writer', async () => {
+      const handle = await rwLock.aquireWrite({ retryTimeoutMs: 100 })({
+        masterClient: mockClient, name: 'doc', ttlMs: 5000,
+      })
+      const secret = mockClient.eval.mock.calls[0][1].arguments[0]
+      await handle.extend({ ttlMs: 8000 })
+
+      expect(mockClient.eval).toHaveBeenCalledWith(rwLockScripts.aquireWrite, {
+        keys, arguments: [secret, '5000', '1'],
+      })
+      expect(mockClient.eval).toHaveBeenCalledWith(lockScripts.extend, {
+        keys: ['rwLock.{doc}.writer'], arguments: [secret, '8000'],
+      })
+    })
+
+    test('should not leave writer waiting intent from a single attempt', async () => {
+      mockClient.eval.mockResolvedValue(0)
+
+      expect(await rwLock.tryAquireWrite({ masterClient: mockClient, name: 'doc', ttlMs: 5000 })).toBeNull()
+
+      expect(mockClient.eval).toHaveBeenCalledWith(rwLockScripts.aquireWrite, {
+        keys, arguments: [expect.any(String), '5000', '0'],
+      })
+    })
+
+    test('should keep same secret over retries', async () => {
+      mockClient.eval.mockResolvedValueOnce(0).mockResolvedValueOnce(0).mockResolvedValueOnce(1)
+
+      await rwLock.aquireWrite({ retryTimeoutMs: 2000 })({
+        masterClient: mockClient, name: 'doc', ttlMs: 5000,
+      })
+
+      const secrets = mockClient.eval.mock.calls.map(([, { arguments: args }]) => args[0])
+      expect(secrets).toHaveLength(3)
+      expect(new Set(secrets).size).toBe(1)
+    })
+
+    test('should drop writer waiting intent when giving up', async () => {
+      mockClient.eval.mockImplementation(async (script) => script === rwLockScripts.aquireWrite ? 0 : 1)
+
+      await expect(rwLock.aquireWrite({ retryTimeoutMs: 100 })({
+        masterClient: mockClient, name: 'doc', ttlMs: 5000,
+      })).rejects.toThrow(AquireLockError)
+
+      const secret = mockClient.eval.mock.calls[0][1].arguments[0]
+      expect(mockClient.eval).toHaveBeenLastCalledWith(lockScripts.release, {
+        keys: ['rwLock.{doc}.writerWaiting'], arguments: [secret],
+      })
+    })
+  })
+})
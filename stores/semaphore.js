@@ -0,0 +1,121 @@
+const { generateRandomString } = require('./random')
+const { tryWithBackoffRetry } = require('./retry')
+const {
+  AquireLockError,
+  hashTag,
+} = require('./redis')
+
+// holders are kept in a sorted set: member = owner secret, score = lease expiry (ms)
+// time is taken from redis so clocks of workers do not matter,
+// expired holders are cleaned up before counting
+const nowMsLua = `
+  local time = redis.call("time")
+  local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+`
+
+// key lives as long as its longest lease
+const keepAliveLua = `
+  local last = redis.call("zrange", KEYS[1], -1, -1, "WITHSCORES")
+  if last[2] then
+      redis.call("pexpire", KEYS[1], math.max(1, tonumber(last[2]) - now))
+  end
+`
+
+const semaphoreScripts = {
+  aquire: `${nowMsLua}
+    redis.call("zremrangebyscore", KEYS[1], "-inf", now)
+    if redis.call("zcard", KEYS[1]) >= tonumber(ARGV[2]) then
+        return 0
+    end
+    redis.call("zadd", KEYS[1], now + tonumber(ARGV[3]), ARGV[1])
+    ${keepAliveLua}
+    return 1
+  `,
+  release: `
+    return redis.call("zrem", KEYS[1], ARGV[1])
+  `,
+  extend: `${nowMsLua}
+    local expiry = redis.call("zscore", KEYS[1], ARGV[1])
+    if not expiry or tonumber(expiry) <= now then
+        return 0
+    end
+    redis.call("zadd", KEYS[1], "XX", now + tonumber(ARGV[2]), ARGV[1])
+    ${keepAliveLua}
+    return 1
+  `,
+}
+
+// counting semaphore: at most `permits` holders of name at once,
+// each holder has its own lease (ttlMs) so a crashed worker gives its permit back
+//
+// handle has the same shape as simpleLock's ({ release, extend, validityMs }), use
+// semaphore.lockStrategy({ permits }) as lockStrategy of wrapWithPessimisticSimpleLock
+// (it calls the strategy without permits)
+const semaphore = {
+  // same slot as the name it protects
+  semaphoreName: (name) => `semaphore.${hashTag(name)}`,
+  // single attempt, resolve to null if all permits are taken
+  tryAquire: async ({ masterClient, name, permits, ttlMs }) => {
+    if (!(Number.isInteger(permits) && permits > 0)) {
+      throw new TypeError(`permits must be a positive integer, got ${permits}`)
+    }
+    const semaphoreName = semaphore.semaphoreName(name)
+    // secret used here to ensure ownership
+    const secret = generateRandomString(8) + Date.now()
+
+    // slot ttl runs from when the script is sent
+    const startMs = Date.now()
+    const res = await masterClient.eval(semaphoreScripts.aquire, {
+      keys: [semaphoreName],
+      arguments: [secret, String(permits), String(ttlMs)],
+    })
+    if (res === 0) {
+      return null
+    }
+
+    return {
+      validityMs: ttlMs - (Date.now() - startMs),
+      release: () => semaphore.release({ masterClient, name: semaphoreName, secret }),
+      extend: ({ ttlMs: _ttlMs }) => semaphore.extend({ masterClient, name: semaphoreName, secret, ttlMs: _ttlMs }),
+    }
+  },
+  aquire: ({ retryTimeoutMs, signal, permits }) => async ({ masterClient, name, ttlMs }) => {
+    const tryTake = async () => {
+      const handle = await semaphore.tryAquire({ masterClient, name, permits, ttlMs })
+      if (handle === null) {
+        throw new AquireLockError('aquire failed')
+      }
+      return handle
+    }
+
+    return tryWithBackoffRetry({
+      funcWoArgs: tryTake,
+      maxTimeMs: retryTimeoutMs,
+      allowedErrorType: AquireLockError,
+      signal,
+    })
+  },
+  // lockStrategy with permits bound
+  lockStrategy: ({ permits }) => ({ retryTimeoutMs, signal }) => {
+    return semaphore.aquire({ retryTimeoutMs, signal, permits })
+  },
+  release: async ({ masterClient, name, secret }) => {
+    const res = await masterClient.eval(semaphoreScripts.release, { keys: [name], arguments: [secret] })
+    if (res === 0) {
+      throw new Error('release failed')
+    }
+  },
+  extend: async ({ masterClient, name, secret, ttlMs }) => {
+    const res = await masterClient.eval(semaphoreScripts.extend, { keys: [name], arguments: [secret, String(ttlMs)] })
+    if (res === 0) {
+      throw new Error('extend failed')
+    }
+  },
+}
+
+module.exports = {
+  nowMsLua,
+  keepAliveLua,
+  semaphoreScripts,
+  semaphore,
+}
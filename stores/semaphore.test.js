@@ -0,0 +1,106 @@
+const { semaphore, semaphoreScripts } = require('./semaphore')
+const { wrapWithPessimisticSimpleLock, AquireLockError } = require('./redis')
+
+describe('semaphore', () => {
+  let mockClient
+
+  beforeEach(() => {
+    mockClient = {
+      eval: jest.fn().mockResolvedValue(1),
+    }
+  })
+
+  test('should keep hash tag of name so it is in same cluster slot', () => {
+    expect(semaphore.semaphoreName('export')).toBe('semaphore.{export}')
+    expect(semaphore.semaphoreName('{user1}.export')).toBe('semaphore.{user1}.export')
+  })
+
+  describe('tryAquire', () => {
+    test('should take a permit', async () => {
+      const handle = await semaphore.tryAquire({ masterClient: mockClient, name: 'export', permits: 3, ttlMs: 5000 })
+
+      expect(handle).toHaveProperty('release')
+      expect(handle).toHaveProperty('extend')
+      expect(mockClient.eval).toHaveBeenCalledWith(semaphoreScripts.aquire, {
+        keys: ['semaphore.{export}'],
+        arguments: [expect.any(String), '3', '5000'],
+      })
+    })
+
+    test('should return null when all permits are taken', async () => {
+      mockClient.eval.mockResolvedValue(0)
+
+      const handle = await semaphore.tryAquire({ masterClient: mockClient, name: 'export', permits: 3, ttlMs: 5000 })
+
+      expect(handle).toBeNull()
+    })
+
+    test('should release / extend with own secret', async () => {
+      const handle = await semaphore.tryAquire({ masterClient: mockClient, name: 'export', permits: 3, ttlMs: 5000 })
+      const secret = mockClient.eval.mock.calls[0][1].arguments[0]
+
+      await handle.extend({ ttlMs: 8000 })
+      await handle.release()
+
+      expect(mockClient.eval).toHaveBeenCalledWith(semaphoreScripts.extend, {
+        keys: ['semaphore.{export}'],
+        arguments: [secret, '8000'],
+      })
+      expect(mockClient.eval).toHaveBeenCalledWith(semaphoreScripts.release, {
+        keys: ['semaphore.{export}'],
+        arguments: [secret],
+      })
+    })
+
+    test('should fail to extend lost permit', async () => {
+      const handle = await semaphore.tryAquire({ masterClient: mockClient, name: 'export', permits: 3, ttlMs: 5000 })
+      mockClient.eval.mockResolvedValue(0)
+
+      await expect(handle.extend({ ttlMs: 5000 })).rejects.toThrow('extend failed')
+      await expect(handle.release()).rejects.toThrow('release failed')
+    })
+  })
+
+  describe('aquire', () => {
+    test('should retry until a permit is free', async () => {
+      mockClient.eval.mockResolvedValueOnce(0).mockResolvedValueOnce(1)
+
+      const handle = await semaphore.aquire({ retryTimeoutMs: 1000, permits: 1 })({
+        masterClient: mockClient, name: 'export', ttlMs: 5000,
+      })
+
+      expect(handle).toHaveProperty('release')
+      expect(mockClient.eval).toHaveBeenCalledTimes(2)
+    })
+
+    test('should reject missing permits instead of sending them to redis', async () => {
+      await expect(semaphore.aquire({ retryTimeoutMs: 100 })({
+        masterClient: mockClient, name: 'export', ttlMs: 5000,
+      })).rejects.toThrow(TypeError)
+      expect(mockClient.eval).not.toHaveBeenCalled()
+    })
+
+    test('should fail after retryTimeoutMs', async () => {
+      mockClient.eval.mockResolvedValue(0)
+
+      await expect(semaphore.aquire({ retryTimeoutMs: 100, permits: 1 })({
+        masterClient: mockClient, name: 'export', ttlMs: 5000,
+      })).rejects.toThrow(AquireLockError)
+    })
+
+    test('should work as lockStrategy', async () => {
+      const result = await wrapWithPessimisticSimpleLock({
+        masterClient: mockClient,
+        funcWoArgs: async () => 'exported',
+        key: 'export',
+        lockStrategy: semaphore.lockStrategy({ permits: 2 }),
+      })
+
+      expect(result).toBe('exported')
+      expect(mockClient.eval).toHaveBeenCalledWith(semaphoreScripts.aquire, {
+        keys: ['semaphore.{simpleLock.export}'],
+        arguments: [expect.any(String), '2', '5000'],
+      })
+    })
+  })
+})
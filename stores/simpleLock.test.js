@@ -1,4 +1,10 @@
-const { simpleLock } = require('./redis')
+const {
+  simpleLock,
+  wrapWithPessimisticSimpleLock,
+  AquireLockError,
+  LeaseLostError,
+  LEASE_LOST,
+} = require('./redis')
 
 describe('simpleLock', () => {
   let mockClient
@@ -15,7 +21,26 @@ describe('simpleLock', () => {
   describe('lock name generation', () => {
     test('should generate correct lock names', () => {
       expect(simpleLock.lockName('test')).toBe('simpleLock.test')
-      expect(simpleLock.lockName('my-lock')).toBe('simpleLock.my-lock')
+      expect(simpleLock.lockName('my-lock', mockClient)).toBe('simpleLock.my-lock')
+    })
+
+    test('should put lock in same cluster slot as name with cluster client', () => {
+      const clusterClient = { getSlotMaster: () => {} }
+      expect(simpleLock.lockName('test', clusterClient)).toBe('simpleLock.{test}')
+      expect(simpleLock.lockName('{user1}.profile', clusterClient)).toBe('simpleLock.{user1}.profile')
+      expect(simpleLock.lockName(simpleLock.lockName('test', clusterClient), clusterClient)).toBe('simpleLock.simpleLock.{test}')
+    })
+
+    test('should only hash tag lock key of wrapped func with cluster client', async () => {
+      const clusterClient = { ...mockClient, eval: jest.fn().mockResolvedValue(1), getSlotMaster: jest.fn() }
+      const keysOf = (client) => client.eval.mock.calls[0][1].keys[0]
+
+      await wrapWithPessimisticSimpleLock({ masterClient: mockClient, funcWoArgs: async () => {}, key: 'pres:1' })
+      // same key as older versions, so they still exclude each other
+      expect(keysOf(mockClient)).toBe('simpleLock.simpleLock.pres:1')
+
+      await wrapWithPessimisticSimpleLock({ masterClient: clusterClient, funcWoArgs: async () => {}, key: 'pres:1' })
+      expect(keysOf(clusterClient)).toBe('simpleLock.simpleLock.{pres:1}')
     })
   })
 
@@ -32,16 +57,87 @@ describe('simpleLock', () => {
 
       expect(lock).toHaveProperty('release')
       expect(lock).toHaveProperty('extend')
-      expect(mockClient.set).toHaveBeenCalledWith(
-        'simpleLock.test-lock',
-        expect.any(String),
-        { PX: 5000, NX: true }
+      expect(mockClient.eval).toHaveBeenCalledWith(
+        expect.stringContaining('"NX", "PX"'),
+        {
+          keys: ['simpleLock.test-lock', 'simpleLock.test-lock.fencing'],
+          // fencing counter expires, a day by default
+          arguments: [expect.any(String), '5000', String(24 * 60 * 60 * 1000)]
+        }
       )
     })
 
+    test('should return fencing token issued on acquire', async () => {
+      mockClient.eval.mockResolvedValueOnce(41).mockResolvedValueOnce(42)
+
+      const aquire = simpleLock.aquire({ retryTimeoutMs: 1000 })
+      const first = await aquire({ masterClient: mockClient, name: 'test-lock', ttlMs: 5000 })
+      const second = await aquire({ masterClient: mockClient, name: 'test-lock', ttlMs: 5000 })
+
+      expect(first.fencingToken).toBe(41)
+      expect(second.fencingToken).toBe(42)
+      expect(mockClient.eval.mock.calls[0][0]).toContain('incr')
+    })
+
+    test('should keep fencing counter at least fencingTtlMs', async () => {
+      mockClient.eval.mockResolvedValueOnce(1)
+
+      await simpleLock.aquire({ retryTimeoutMs: 1000 })({
+        masterClient: mockClient, name: 'test-lock', ttlMs: 5000, fencingTtlMs: 7 * 24 * 60 * 60 * 1000,
+      })
+
+      expect(mockClient.eval.mock.calls[0][0]).toContain('pexpire')
+      expect(mockClient.eval.mock.calls[0][1].arguments[2]).toBe(String(7 * 24 * 60 * 60 * 1000))
+    })
+
+    test('tryAquire should return null right away if lock is held', async () => {
+      mockClient.eval.mockResolvedValue(null)
+
+      const lock = await simpleLock.tryAquire({ masterClient: mockClient, name: 'test-lock', ttlMs: 1000 })
+
+      expect(lock).toBeNull()
+      expect(mockClient.eval).toHaveBeenCalledTimes(1)
+    })
+
+    test('tryAquire should return lock if free', async () => {
+      mockClient.eval.mockResolvedValueOnce(3)
+
+      const lock = await simpleLock.tryAquire({ masterClient: mockClient, name: 'test-lock', ttlMs: 1000 })
+
+      expect(lock.fencingToken).toBe(3)
+      expect(lock.validityMs).toBeGreaterThan(0)
+      expect(lock.validityMs).toBeLessThanOrEqual(1000)
+      expect(lock).toHaveProperty('release')
+    })
+
+    test('should stop waiting once signal aborts', async () => {
+      mockClient.eval.mockResolvedValue(null)
+      const controller = new AbortController()
+
+      const aquiring = simpleLock.aquire({ retryTimeoutMs: 30000, signal: controller.signal })({
+        masterClient: mockClient,
+        name: 'test-lock',
+        ttlMs: 1000
+      })
+      setTimeout(() => controller.abort(new Error('request cancelled')), 50)
+
+      await expect(aquiring).rejects.toThrow('request cancelled')
+    })
+
+    test('should not try at all if signal already aborted', async () => {
+      await expect(
+        simpleLock.aquire({ retryTimeoutMs: 1000, signal: AbortSignal.abort() })({
+          masterClient: mockClient,
+          name: 'test-lock',
+          ttlMs: 1000
+        })
+      ).rejects.toThrow()
+      expect(mockClient.eval).not.toHaveBeenCalled()
+    })
+
     test('should handle lock acquisition failure', async () => {
       // Mock to always return null (lock already exists)
-      mockClient.set.mockResolvedValue(null)
+      mockClient.eval.mockResolvedValue(null)
 
       await expect(
         simpleLock.aquire({ retryTimeoutMs: 100 })({
@@ -127,12 +223,294 @@ describe('simpleLock', () => {
         expect.stringContaining('if redis.call("get",KEYS[1]) == ARGV[1]'),
         {
           keys: [lockName],
-          arguments: [secret]
+          // channel to wake waiters up
+          arguments: [secret, 'test-lock.released']
         }
       )
     })
   })
 
+  describe('wrapWithPessimisticSimpleLock', () => {
+    test('should pass fencing token of the lock to funcWoArgs', async () => {
+      mockClient.eval.mockResolvedValueOnce(7)
+      const funcWoArgs = jest.fn().mockResolvedValue('result')
+
+      const result = await wrapWithPessimisticSimpleLock({
+        masterClient: mockClient,
+        funcWoArgs,
+        key: 'test-key',
+      })
+
+      expect(result).toBe('result')
+      expect(funcWoArgs).toHaveBeenCalledWith({ fencingToken: 7, signal: expect.any(AbortSignal) })
+    })
+
+    describe('reentrancy', () => {
+      // lock is held until released
+      const createHeldLocks = () => {
+        const held = new Set()
+        let token = 0
+        return () => async ({ name }) => {
+          if (held.has(name)) {
+            throw new AquireLockError('aquire failed')
+          }
+          held.add(name)
+          token++
+          return {
+            fencingToken: token,
+            extend: async () => {},
+            release: async () => { held.delete(name) },
+          }
+        }
+      }
+
+      test('should run nested call on held key right away', async () => {
+        const lockStrategy = createHeldLocks()
+        const wrap = (funcWoArgs) => wrapWithPessimisticSimpleLock({
+          masterClient: mockClient, key: 'test-key', funcWoArgs, lockStrategy, reentrant: true,
+        })
+
+        const result = await wrap(async (outer) => {
+          const inner = await wrap(async (holding) => holding)
+          return { outer, inner }
+        })
+
+        expect(result.inner.fencingToken).toBe(result.outer.fencingToken)
+        expect(result.inner.signal).toBe(result.outer.signal)
+      })
+
+      test('should still lock other keys in nested call', async () => {
+        const lockStrategy = jest.fn(createHeldLocks())
+
+        await wrapWithPessimisticSimpleLock({
+          masterClient: mockClient, key: 'outer', lockStrategy, reentrant: true,
+          funcWoArgs: () => wrapWithPessimisticSimpleLock({
+            masterClient: mockClient, key: 'inner', lockStrategy, reentrant: true,
+            funcWoArgs: async () => {},
+          }),
+        })
+
+        expect(lockStrategy).toHaveBeenCalledTimes(2)
+      })
+
+      test('should wait on itself when not reentrant', async () => {
+        const lockStrategy = createHeldLocks()
+
+        await expect(wrapWithPessimisticSimpleLock({
+          masterClient: mockClient, key: 'test-key', lockStrategy,
+          funcWoArgs: () => wrapWithPessimisticSimpleLock({
+            masterClient: mockClient, key: 'test-key', lockStrategy,
+            funcWoArgs: async () => {},
+          }),
+        })).rejects.toThrow(AquireLockError)
+      })
+
+      test('should not reuse a released lock from background work', async () => {
+        const lockStrategy = jest.fn(createHeldLocks())
+        const wrap = (funcWoArgs) => wrapWithPessimisticSimpleLock({
+          masterClient: mockClient, key: 'test-key', funcWoArgs, lockStrategy, reentrant: true,
+        })
+
+        let background
+        let outerSignal
+        await wrap(async ({ signal }) => {
+          outerSignal = signal
+          // e.g. a revalidate started without awaiting
+          background = new Promise((resolve) => setTimeout(resolve, 10))
+            .then(() => wrap(async ({ signal: innerSignal }) => ({ signalAborted: innerSignal.aborted })))
+        })
+
+        expect(outerSignal.aborted).toBe(true)
+        expect(await background).toStrictEqual({ signalAborted: false })
+        expect(lockStrategy).toHaveBeenCalledTimes(2)
+      })
+
+      test('should not leak held locks to unrelated contexts', async () => {
+        const lockStrategy = jest.fn(createHeldLocks())
+        let releaseOuter
+        const outer = wrapWithPessimisticSimpleLock({
+          masterClient: mockClient, key: 'test-key', lockStrategy, reentrant: true,
+          funcWoArgs: () => new Promise((resolve) => { releaseOuter = resolve }),
+        })
+        await new Promise(setImmediate)
+
+        await expect(wrapWithPessimisticSimpleLock({
+          masterClient: mockClient, key: 'test-key', lockStrategy, reentrant: true,
+          funcWoArgs: async () => {},
+        })).rejects.toThrow(AquireLockError)
+
+        releaseOuter()
+        await outer
+      })
+    })
+
+    describe('lease loss', () => {
+      let lock
+      const lockStrategy = () => async () => lock
+
+      // resolves after given ms of fake time, with signal of the lock
+      const slowFunc = (ms) => ({ signal }) => new Promise((resolve) => {
+        setTimeout(() => resolve(signal), ms)
+      })
+
+      beforeEach(() => {
+        jest.useFakeTimers()
+        lock = {
+          extend: jest.fn().mockResolvedValue(),
+          release: jest.fn().mockResolvedValue(),
+        }
+      })
+
+      afterEach(() => {
+        jest.useRealTimers()
+      })
+
+      test('should keep lease while extend succeeds', async () => {
+        const result = wrapWithPessimisticSimpleLock({
+          masterClient: mockClient,
+          funcWoArgs: async (holding) => {
+            const signal = await slowFunc(5000)(holding)
+            return { signal, abortedWhileRunning: signal.aborted }
+          },
+          key: 'test-key',
+          lockTimeMs: 1000,
+          lockStrategy,
+        })
+        await jest.advanceTimersByTimeAsync(5000)
+
+        const { signal, abortedWhileRunning } = await result
+        expect(abortedWhileRunning).toBe(false)
+        // aborted once released
+        expect(signal.reason.message).toBe('lock released')
+        expect(lock.extend).toHaveBeenCalledTimes(9)
+        expect(lock.release).toHaveBeenCalledTimes(1)
+      })
+
+      test('should abort signal and report when extend fails', async () => {
+        const error = new Error('extend failed')
+        lock.extend.mockRejectedValue(error)
+        const onLockError = jest.fn()
+
+        const result = wrapWithPessimisticSimpleLock({
+          masterClient: mockClient,
+          funcWoArgs: slowFunc(2000),
+          key: 'test-key',
+          lockTimeMs: 1000,
+          lockStrategy,
+          onLockError,
+        })
+        await jest.advanceTimersByTimeAsync(2000)
+
+        // continue by default
+        const signal = await result
+        expect(signal.aborted).toBe(true)
+        expect(signal.reason).toBeInstanceOf(LeaseLostError)
+        expect(signal.reason.cause).toBe(error)
+        expect(onLockError).toHaveBeenCalledWith({ key: 'test-key', op: 'extend', error })
+        expect(lock.extend).toHaveBeenCalledTimes(1)
+      })
+
+      test('should abort signal when lease expires before extend returns', async () => {
+        lock.extend.mockReturnValue(new Promise(() => {}))
+
+        const result = wrapWithPessimisticSimpleLock({
+          masterClient: mockClient,
+          funcWoArgs: slowFunc(2000),
+          key: 'test-key',
+          lockTimeMs: 1000,
+          lockStrategy,
+        })
+        await jest.advanceTimersByTimeAsync(2000)
+
+        const signal = await result
+        expect(signal.aborted).toBe(true)
+        expect(signal.reason.message).toBe('lease expired')
+      })
+
+      test('should count lease from validityMs of the lock', async () => {
+        // e.g. redlock, time to aquire and clock drift taken off
+        lock.validityMs = 300
+        lock.extend.mockReturnValue(new Promise(() => {}))
+        let leaseSignal
+
+        const result = wrapWithPessimisticSimpleLock({
+          masterClient: mockClient,
+          funcWoArgs: (holding) => {
+            leaseSignal = holding.signal
+            return slowFunc(2000)(holding)
+          },
+          key: 'test-key',
+          lockTimeMs: 1000,
+          lockStrategy,
+        })
+        await jest.advanceTimersByTimeAsync(400)
+
+        expect(leaseSignal.aborted).toBe(true)
+        expect(leaseSignal.reason.message).toBe('lease expired')
+        await jest.advanceTimersByTimeAsync(1600)
+        await result
+      })
+
+      test('should count extended lease from validityMs extend resolves to', async () => {
+        lock.extend.mockResolvedValueOnce(100).mockReturnValue(new Promise(() => {}))
+        let leaseSignal
+
+        const result = wrapWithPessimisticSimpleLock({
+          masterClient: mockClient,
+          funcWoArgs: (holding) => {
+            leaseSignal = holding.signal
+            return slowFunc(2000)(holding)
+          },
+          key: 'test-key',
+          lockTimeMs: 1000,
+          lockStrategy,
+        })
+        // extended at 500
+        await jest.advanceTimersByTimeAsync(650)
+
+        expect(leaseSignal.aborted).toBe(true)
+        expect(leaseSignal.reason.message).toBe('lease expired')
+        await jest.advanceTimersByTimeAsync(1350)
+        await result
+      })
+
+      test('should reject right away in abort mode', async () => {
+        lock.extend.mockRejectedValue(new Error('extend failed'))
+
+        const result = wrapWithPessimisticSimpleLock({
+          masterClient: mockClient,
+          funcWoArgs: slowFunc(10000),
+          key: 'test-key',
+          lockTimeMs: 1000,
+          lockStrategy,
+          onLeaseLost: LEASE_LOST.abort,
+        })
+        const assertion = expect(result).rejects.toThrow(LeaseLostError)
+        await jest.advanceTimersByTimeAsync(500)
+
+        await assertion
+        expect(lock.release).toHaveBeenCalledTimes(1)
+      })
+
+      test('should await release and report its error', async () => {
+        const error = new Error('release failed')
+        lock.release.mockRejectedValue(error)
+        const onLockError = jest.fn()
+
+        const result = await wrapWithPessimisticSimpleLock({
+          masterClient: mockClient,
+          funcWoArgs: async () => 'result',
+          key: 'test-key',
+          lockStrategy,
+          onLockError,
+        })
+
+        expect(result).toBe('result')
+        expect(onLockError).toHaveBeenCalledWith({ key: 'test-key', op: 'release', error })
+      })
+    })
+  })
+
   describe('integration with lock methods', () => {
     test('lock extend method should convert ttlMs to string', async () => {
       const lock = await simpleLock.aquire({ retryTimeoutMs: 1000 })({
@@ -0,0 +1,157 @@
+const { simpleLock } = require('./redis')
+
+// run funcs with at most concurrency of them at once, never rejects
+const runLimited = async (funcs, concurrency) => {
+  let next = 0
+  const worker = async () => {
+    while (next < funcs.length) {
+      const func = funcs[next++]
+      await func()
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, funcs.length) }, worker))
+}
+
+// preload keys on startup and refresh them before they expire, so a cold deploy
+// (or a hot key expiring) does not send every request to the loader at once
+//
+// cache: the object returned by create(), masterClient: same redis master client
+// given to create()
+//
+// start() preloads every registered key through redisCacheReadThrough (keys already
+// in redis are not loaded again), at most concurrency loaders at once
+//
+// then each key is refreshed refreshAheadMs before its redis ttl ends. every instance
+// schedules it, the one holding the key's simpleLock (same lock as read through) loads,
+// others see the new ttl and schedule the next refresh
+//
+// keys are built like redisCacheReadThrough does (args, keyBuilder), so readers of the
+// same key and args are served what is warmed
+//
+// onError({ key, op, error }): op is preload or refresh, key is the cache key,
+// it is retried at its next schedule
+const createWarmer = ({
+  cache,
+  masterClient,
+  concurrency = 10,
+  lockTimeMs = 30000,
+  onError = () => {},
+}) => {
+  // cache key => { cacheKey, key, args, keyBuilder, loader, ttlMs, inAppTtlMs, refreshAheadMs }
+  const definitions = new Map()
+  // cache key => timer
+  const timers = new Map()
+  const refreshing = new Set()
+  let started = false
+
+  const _onError = (payload) => {
+    try {
+      onError(payload)
+    } catch {
+      // handler must not stop refreshing
+    }
+  }
+
+  const _schedule = (definition, delayMs) => {
+    if (!started) {
+      return
+    }
+    const timer = setTimeout(() => {
+      const running = _refresh(definition).finally(() => refreshing.delete(running))
+      refreshing.add(running)
+    }, Math.max(0, delayMs))
+    // do not keep the process alive for it
+    timer.unref?.()
+    timers.set(definition.cacheKey, timer)
+  }
+
+  const _refresh = async (definition) => {
+    const { cacheKey, key, args, keyBuilder, loader, ttlMs, inAppTtlMs, refreshAheadMs } = definition
+    // retried after a while if anything fails, before the key is expected to expire
+    let nextDelayMs = refreshAheadMs / 2
+    try {
+      // -2 when missing, -1 without ttl
+      const remainingMs = await masterClient.pTTL(cacheKey)
+      if (remainingMs > refreshAheadMs || remainingMs === -1) {
+        nextDelayMs = remainingMs === -1 ? ttlMs - refreshAheadMs : remainingMs - refreshAheadMs
+        return
+      }
+
+      const lock = await simpleLock.tryAquire({ masterClient, name: simpleLock.lockName(cacheKey, masterClient), ttlMs: lockTimeMs })
+      if (lock === null) {
+        // another instance is refreshing it
+        return
+      }
+      try {
+        const data = await loader(...args)
+        await cache.redisCacheWriteBothTiers({ data, key, args, keyBuilder, ttlMs, inAppTtlMs })
+        nextDelayMs = ttlMs - refreshAheadMs
+      } finally {
+        await lock.release().catch(() => {})
+      }
+    } catch (error) {
+      _onError({ key: cacheKey, op: 'refresh', error })
+    } finally {
+      _schedule(definition, nextDelayMs)
+    }
+  }
+
+  const _preload = async (definition) => {
+    const { cacheKey, key, args, keyBuilder, loader, ttlMs, inAppTtlMs } = definition
+    try {
+      await cache.redisCacheReadThrough({
+        func: loader,
+        key,
+        ttlMs,
+        inAppTtlMs,
+        keyBuilder,
+      })(...args)
+    } catch (error) {
+      _onError({ key: cacheKey, op: 'preload', error })
+    }
+  }
+
+  return {
+    // loader: (...args) => Promise, same as func of redisCacheReadThrough
+    // args / keyBuilder (optional): as given to / configured on redisCacheReadThrough
+    // refreshAheadMs default to a fifth of ttlMs
+    register: ({ key, args = [], keyBuilder, loader, ttlMs, inAppTtlMs, refreshAheadMs = ttlMs / 5 }) => {
+      const cacheKey = cache.cacheKeyOf({ key, args, keyBuilder })
+      if (definitions.has(cacheKey)) {
+        throw new TypeError(`${cacheKey} is already registered`)
+      }
+      if (!(refreshAheadMs > 0 && refreshAheadMs < ttlMs)) {
+        throw new TypeError('refreshAheadMs must be between 0 and ttlMs')
+      }
+      const definition = { cacheKey, key, args, keyBuilder, loader, ttlMs, inAppTtlMs, refreshAheadMs }
+      definitions.set(cacheKey, definition)
+      // registered after start, still warmed
+      if (started) {
+        _preload(definition).then(() => _schedule(definition, 0))
+      }
+    },
+    // resolve once every key is preloaded (or failed, see onError)
+    start: async () => {
+      if (started) {
+        return
+      }
+      started = true
+      const all = [...definitions.values()]
+      await runLimited(all.map((definition) => () => _preload(definition)), concurrency)
+      all.forEach((definition) => _schedule(definition, 0))
+    },
+    // stop scheduling, resolve once running refreshes are done
+    stop: async () => {
+      started = false
+      timers.forEach(clearTimeout)
+      timers.clear()
+      await Promise.all(refreshing)
+    },
+    // number of registered keys
+    size: () => definitions.size,
+  }
+}
+
+module.exports = {
+  createWarmer,
+}
@@ -0,0 +1,159 @@
+const { createWarmer } = require('./warmer')
+const { lockScripts, simpleLock } = require('./redis')
+const { argsKeyBuilder } = require('./index')
+
+const createMockCache = () => ({
+  redisCacheReadThrough: jest.fn().mockImplementation(({ func }) => (...args) => func(...args)),
+  redisCacheWriteBothTiers: jest.fn().mockResolvedValue('OK'),
+  cacheKeyOf: ({ key, args = [], keyBuilder = argsKeyBuilder }) => keyBuilder(key, args),
+})
+
+const createMockClient = ({ pTTL = -2 } = {}) => {
+  const locks = new Set()
+  return {
+    locks,
+    pTTL: jest.fn().mockResolvedValue(pTTL),
+    eval: jest.fn().mockImplementation(async (script, { keys }) => {
+      if (script === lockScripts.aquire) {
+        if (locks.has(keys[0])) {
+          return null
+        }
+        locks.add(keys[0])
+        return 1
+      }
+      return Number(locks.delete(keys[0]))
+    }),
+  }
+}
+
+describe('createWarmer', () => {
+  let warmer
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(async () => {
+    await warmer?.stop()
+    jest.useRealTimers()
+  })
+
+  test('should preload registered keys with limited concurrency', async () => {
+    const cache = createMockCache()
+    warmer = createWarmer({ cache, masterClient: createMockClient({ pTTL: 60000 }), concurrency: 2 })
+
+    let running = 0
+    let maxRunning = 0
+    const loader = jest.fn().mockImplementation(async () => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      running--
+      return {}
+    })
+    for (let i = 0; i < 5; i++) {
+      warmer.register({ key: `key.${i}`, loader, ttlMs: 60000 })
+    }
+
+    const started = warmer.start()
+    await jest.advanceTimersByTimeAsync(30)
+    await started
+
+    expect(loader).toHaveBeenCalledTimes(5)
+    expect(maxRunning).toBe(2)
+    expect(cache.redisCacheReadThrough).toHaveBeenCalledWith(expect.objectContaining({ key: 'key.0', ttlMs: 60000 }))
+  })
+
+  test('should report preload errors and keep going', async () => {
+    const onError = jest.fn()
+    const error = new Error('db down')
+    warmer = createWarmer({ cache: createMockCache(), masterClient: createMockClient({ pTTL: 60000 }), onError })
+    warmer.register({ key: 'a', loader: async () => { throw error }, ttlMs: 60000 })
+    const loader = jest.fn().mockResolvedValue({})
+    warmer.register({ key: 'b', loader, ttlMs: 60000 })
+
+    await warmer.start()
+
+    expect(onError).toHaveBeenCalledWith({ key: 'a', op: 'preload', error })
+    expect(loader).toHaveBeenCalled()
+  })
+
+  test('should refresh refreshAheadMs before expiry', async () => {
+    const cache = createMockCache()
+    const masterClient = createMockClient({ pTTL: 10000 })
+    warmer = createWarmer({ cache, masterClient })
+    const loader = jest.fn().mockResolvedValue({ fresh: true })
+    warmer.register({ key: 'a', loader, ttlMs: 10000, inAppTtlMs: 1000, refreshAheadMs: 2000 })
+    await warmer.start()
+    await jest.advanceTimersByTimeAsync(0)
+    loader.mockClear()
+
+    await jest.advanceTimersByTimeAsync(7999)
+    expect(loader).not.toHaveBeenCalled()
+
+    masterClient.pTTL.mockResolvedValue(2000)
+    await jest.advanceTimersByTimeAsync(1)
+    expect(loader).toHaveBeenCalledTimes(1)
+    expect(cache.redisCacheWriteBothTiers).toHaveBeenCalledWith({
+      data: { fresh: true }, key: 'a', args: [], keyBuilder: undefined, ttlMs: 10000, inAppTtlMs: 1000,
+    })
+    // lock released
+    expect(masterClient.locks.size).toBe(0)
+  })
+
+  test('should warm and refresh per args key', async () => {
+    const cache = createMockCache()
+    const masterClient = createMockClient({ pTTL: 1000 })
+    warmer = createWarmer({ cache, masterClient })
+    const loader = jest.fn().mockImplementation(async (id) => ({ id }))
+    warmer.register({ key: 'byId', args: [1], loader, ttlMs: 10000, refreshAheadMs: 2000 })
+
+    await warmer.start()
+    await jest.advanceTimersByTimeAsync(0)
+
+    expect(cache.redisCacheReadThrough).toHaveBeenCalledWith(expect.objectContaining({ key: 'byId' }))
+    expect(masterClient.pTTL).toHaveBeenCalledWith(argsKeyBuilder('byId', [1]))
+    expect(loader).toHaveBeenNthCalledWith(2, 1)
+    expect(cache.redisCacheWriteBothTiers).toHaveBeenCalledWith(expect.objectContaining({
+      data: { id: 1 }, key: 'byId', args: [1],
+    }))
+  })
+
+  test('should skip refresh while another instance holds the lock', async () => {
+    const cache = createMockCache()
+    const masterClient = createMockClient({ pTTL: 1000 })
+    warmer = createWarmer({ cache, masterClient })
+    const loader = jest.fn().mockResolvedValue({})
+    warmer.register({ key: 'a', loader, ttlMs: 10000, refreshAheadMs: 2000 })
+    // same lock as read through of the key
+    masterClient.locks.add(simpleLock.lockName(simpleLock.lockName('a')))
+
+    await warmer.start()
+    loader.mockClear()
+    await jest.advanceTimersByTimeAsync(0)
+
+    expect(loader).not.toHaveBeenCalled()
+    expect(cache.redisCacheWriteBothTiers).not.toHaveBeenCalled()
+  })
+
+  test('should stop refreshing once stopped', async () => {
+    const masterClient = createMockClient({ pTTL: 1000 })
+    warmer = createWarmer({ cache: createMockCache(), masterClient })
+    const loader = jest.fn().mockResolvedValue({})
+    warmer.register({ key: 'a', loader, ttlMs: 10000, refreshAheadMs: 2000 })
+
+    await warmer.start()
+    await warmer.stop()
+    loader.mockClear()
+    await jest.advanceTimersByTimeAsync(20000)
+
+    expect(loader).not.toHaveBeenCalled()
+  })
+
+  test('should reject invalid definitions', () => {
+    warmer = createWarmer({ cache: createMockCache(), masterClient: createMockClient() })
+    warmer.register({ key: 'a', loader: async () => ({}), ttlMs: 1000 })
+
+    expect(() => warmer.register({ key: 'a', loader: async () => ({}), ttlMs: 1000 })).toThrow(TypeError)
+    expect(() => warmer.register({ key: 'b', loader: async () => ({}), ttlMs: 1000, refreshAheadMs: 1000 })).toThrow(TypeError)
+  })
+})
@@ -0,0 +1,86 @@
+const { withRetry } = require('./retry')
+
+class WriteBehindClosedError extends Error {}
+
+// queue of writes flushed to writer in background, for high frequency writes
+// (e.g. counters) where the cache is updated right away and persisting can lag a bit
+//
+// writes to the same key are coalesced until flushed: merge(previous, next),
+// default keep the last one. e.g. for counter deltas: (previous, next) => previous + next
+//
+// writer: ([{ key, data }]) => Promise, called with batches of at most maxBatchSize
+// retry: retry policy of writer, see tryWithBackoffRetry
+// onError({ entries, error }): entries given up after retries, they are NOT written
+//
+// call close() on shutdown, remaining writes are flushed
+const createWriteBehind = ({
+  writer,
+  flushIntervalMs = 1000,
+  maxBatchSize = 100,
+  merge = (previous, next) => next,
+  retry = { maxAttempts: 3 },
+  onError = () => {},
+}) => {
+  const retryingWriter = withRetry(writer, retry)
+
+  // key => data, in order of first write since last flush
+  let pendings = new Map()
+  let flushing = Promise.resolve()
+  let closed = false
+
+  const _flushOnce = async () => {
+    if (pendings.size <= 0) {
+      return
+    }
+    const entries = [...pendings].map(([key, data]) => ({ key, data }))
+    pendings = new Map()
+
+    for (let i = 0; i < entries.length; i += maxBatchSize) {
+      const batch = entries.slice(i, i + maxBatchSize)
+      try {
+        await retryingWriter(batch)
+      } catch (error) {
+        try {
+          onError({ entries: batch, error })
+        } catch {
+          // handler must not stop flushing the rest
+        }
+      }
+    }
+  }
+
+  // one flush at a time, resolve once what was queued before the call is written (or given up)
+  const flush = () => {
+    flushing = flushing.then(_flushOnce)
+    return flushing
+  }
+
+  const timer = setInterval(flush, flushIntervalMs)
+  // do not keep the process alive for it
+  timer.unref?.()
+
+  return {
+    enqueue: ({ key, data }) => {
+      if (closed) {
+        throw new WriteBehindClosedError('write behind closed')
+      }
+      pendings.set(key, pendings.has(key) ? merge(pendings.get(key), data) : data)
+      if (pendings.size >= maxBatchSize) {
+        flush()
+      }
+    },
+    // number of keys waiting to be flushed
+    size: () => pendings.size,
+    flush,
+    close: async () => {
+      closed = true
+      clearInterval(timer)
+      await flush()
+    },
+  }
+}
+
+module.exports = {
+  WriteBehindClosedError,
+  createWriteBehind,
+}
@@ -0,0 +1,89 @@
+const { createWriteBehind, WriteBehindClosedError } = require('./writeBehind')
+
+describe('createWriteBehind', () => {
+  let writeBehind
+
+  afterEach(async () => {
+    await writeBehind?.close()
+  })
+
+  test('should coalesce writes of same key until flushed', async () => {
+    const writer = jest.fn().mockResolvedValue()
+    writeBehind = createWriteBehind({ writer })
+
+    writeBehind.enqueue({ key: 'a', data: 1 })
+    writeBehind.enqueue({ key: 'b', data: 1 })
+    writeBehind.enqueue({ key: 'a', data: 2 })
+    expect(writeBehind.size()).toBe(2)
+    await writeBehind.flush()
+
+    expect(writer).toHaveBeenCalledTimes(1)
+    expect(writer).toHaveBeenCalledWith([{ key: 'a', data: 2 }, { key: 'b', data: 1 }])
+    expect(writeBehind.size()).toBe(0)
+  })
+
+  test('should merge with given merge', async () => {
+    const writer = jest.fn().mockResolvedValue()
+    writeBehind = createWriteBehind({ writer, merge: (previous, next) => previous + next })
+
+    writeBehind.enqueue({ key: 'votes', data: 1 })
+    writeBehind.enqueue({ key: 'votes', data: 1 })
+    writeBehind.enqueue({ key: 'votes', data: -1 })
+    await writeBehind.flush()
+
+    expect(writer).toHaveBeenCalledWith([{ key: 'votes', data: 1 }])
+  })
+
+  test('should flush every flushIntervalMs', async () => {
+    jest.useFakeTimers()
+    try {
+      const writer = jest.fn().mockResolvedValue()
+      writeBehind = createWriteBehind({ writer, flushIntervalMs: 1000 })
+
+      writeBehind.enqueue({ key: 'a', data: 1 })
+      await jest.advanceTimersByTimeAsync(999)
+      expect(writer).not.toHaveBeenCalled()
+
+      await jest.advanceTimersByTimeAsync(1)
+      expect(writer).toHaveBeenCalledTimes(1)
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  test('should flush in batches of maxBatchSize once reached', async () => {
+    const writer = jest.fn().mockResolvedValue()
+    writeBehind = createWriteBehind({ writer, maxBatchSize: 2 })
+
+    writeBehind.enqueue({ key: 'a', data: 1 })
+    writeBehind.enqueue({ key: 'b', data: 1 })
+    writeBehind.enqueue({ key: 'c', data: 1 })
+    await writeBehind.flush()
+
+    expect(writer.mock.calls.map(([batch]) => batch.length)).toStrictEqual([2, 1])
+  })
+
+  test('should retry writer then report given up entries', async () => {
+    const error = new Error('db down')
+    const writer = jest.fn().mockRejectedValue(error)
+    const onError = jest.fn()
+    writeBehind = createWriteBehind({ writer, retry: { maxAttempts: 2, baseDelayMs: 1 }, onError })
+
+    writeBehind.enqueue({ key: 'a', data: 1 })
+    await writeBehind.flush()
+
+    expect(writer).toHaveBeenCalledTimes(2)
+    expect(onError).toHaveBeenCalledWith({ entries: [{ key: 'a', data: 1 }], error })
+  })
+
+  test('should flush remaining writes on close and refuse new ones', async () => {
+    const writer = jest.fn().mockResolvedValue()
+    writeBehind = createWriteBehind({ writer, flushIntervalMs: 60000 })
+
+    writeBehind.enqueue({ key: 'a', data: 1 })
+    await writeBehind.close()
+
+    expect(writer).toHaveBeenCalledWith([{ key: 'a', data: 1 }])
+    expect(() => writeBehind.enqueue({ key: 'a', data: 2 })).toThrow(WriteBehindClosedError)
+  })
+})